@@ -0,0 +1,143 @@
+/**
+ * Camel Drop Game - Achievements
+ * Milestones unlocked by what the economy engine reports. The tracker folds
+ * EconomyEvents into running counts, checks every locked achievement against
+ * them and records when each one unlocked. DOM-free; also loads in Node.
+ */
+(function (root) {
+    /**
+     * @typedef {Object} Achievement
+     * @property {string} id - Key in AchievementState.unlocked.
+     * @property {string} icon - Emoji shown in toasts and the panel.
+     * @property {string} name - Display name.
+     * @property {string} description - How to earn it.
+     * @property {string} count - Key in AchievementState.counts measured against `goal`.
+     * @property {number} goal - Count needed to unlock.
+     */
+
+    /**
+     * @typedef {Object} AchievementState
+     * @property {Object<string, number>} unlocked - Achievement id -> epoch milliseconds of the unlock.
+     * @property {Object<string, number>} counts - Running totals the achievements measure.
+     */
+
+    /** @type {Achievement[]} */
+    const ACHIEVEMENTS = [
+        { id: 'firstDrop', icon: '🐪', name: 'First Drop', description: 'Drop your first camel.', count: 'camelsDropped', goal: 1 },
+        { id: 'firstCaravan', icon: '🏕️', name: 'Hit the Road', description: 'Form your first caravan.', count: 'caravansFormed', goal: 1 },
+        { id: 'guardedRaid', icon: '🛡️', name: 'Held the Line', description: 'Survive a bandit raid with guard camps and keep every caravan.', count: 'raidsRepelled', goal: 1 },
+        { id: 'rancher', icon: '🏡', name: 'Rancher', description: 'Breed 500 camels on farms.', count: 'camelsBred', goal: 500 },
+        { id: 'herd1000', icon: '🐫', name: 'Sea of Humps', description: 'Own 1000 camels at once.', count: 'largestHerd', goal: 1000 },
+        { id: 'tradeEmpire', icon: '💰', name: 'Trade Empire', description: 'Haul 5000 gold with caravans.', count: 'goldHauled', goal: 5000 },
+        { id: 'bigSpender', icon: '🪙', name: 'Big Spender', description: 'Spend 10000 gold.', count: 'goldSpent', goal: 10000 },
+        { id: 'firstMigration', icon: '🔄', name: 'The Long Walk', description: 'Complete a Nomad Migration.', count: 'migrations', goal: 1 }
+    ];
+
+    /**
+     * --- Achievements: build a tracker state, keeping valid saved values ---
+     * @param {Object} [data] - Saved AchievementState.
+     * @returns {AchievementState} - Clean state.
+     */
+    function createAchievementState(data) {
+        const state = { unlocked: {}, counts: {} };
+        if (!data) {
+            return state;
+        }
+        ACHIEVEMENTS.forEach(achievement => {
+            const unlockedAt = data.unlocked && data.unlocked[achievement.id];
+            if (Number.isFinite(unlockedAt)) {
+                state.unlocked[achievement.id] = unlockedAt;
+            }
+        });
+        Object.keys(data.counts || {}).forEach(key => {
+            if (Number.isFinite(data.counts[key])) {
+                state.counts[key] = data.counts[key];
+            }
+        });
+        return state;
+    }
+
+    /**
+     * --- Achievements: add to one running count ---
+     * @param {AchievementState} state - Tracker state.
+     * @param {string} key - Count name.
+     * @param {number} amount - Amount to add.
+     */
+    function addCount(state, key, amount) {
+        state.counts[key] = (state.counts[key] || 0) + amount;
+    }
+
+    /**
+     * --- Achievements: fold an economy event into the counts and unlock what it completes ---
+     * @param {AchievementState} state - Tracker state.
+     * @param {Object} event - EconomyEvent from economy.js.
+     * @param {Object} economyState - Economy state after the event.
+     * @param {number} now - Epoch milliseconds stamped on new unlocks.
+     * @returns {Achievement[]} - Achievements unlocked by this event.
+     */
+    function recordEvent(state, event, economyState, now) {
+        switch (event.type) {
+            case 'camelsGained':
+                addCount(state, event.source === 'farm' ? 'camelsBred' : 'camelsDropped', event.amount);
+                state.counts.largestHerd = Math.max(state.counts.largestHerd || 0, economyState.counter);
+                break;
+            case 'goldGained':
+                if (event.source === 'caravan') {
+                    addCount(state, 'goldHauled', event.amount);
+                }
+                break;
+            case 'goldSpent':
+                addCount(state, 'goldSpent', event.amount);
+                break;
+            case 'banditRaid':
+                if (!event.caravanLost && economyState.caravanCount > 0 && economyState.guardCampCount > 0) {
+                    addCount(state, 'raidsRepelled', 1);
+                }
+                break;
+            case 'caravanFormed':
+                addCount(state, 'caravansFormed', 1);
+                break;
+            case 'migration':
+                addCount(state, 'migrations', 1);
+                break;
+            default:
+                return [];
+        }
+
+        const unlockedNow = [];
+        ACHIEVEMENTS.forEach(achievement => {
+            if (!state.unlocked[achievement.id] && (state.counts[achievement.count] || 0) >= achievement.goal) {
+                state.unlocked[achievement.id] = now;
+                unlockedNow.push(achievement);
+            }
+        });
+        return unlockedNow;
+    }
+
+    /**
+     * --- Achievements: progress of one achievement for the panel ---
+     * @param {AchievementState} state - Tracker state.
+     * @param {Achievement} achievement - Achievement to measure.
+     * @returns {{value: number, goal: number, unlockedAt: number|null}} - Progress capped at the goal.
+     */
+    function getProgress(state, achievement) {
+        return {
+            value: Math.min(state.counts[achievement.count] || 0, achievement.goal),
+            goal: achievement.goal,
+            unlockedAt: state.unlocked[achievement.id] || null
+        };
+    }
+
+    const CamelAchievements = {
+        ACHIEVEMENTS,
+        createAchievementState,
+        recordEvent,
+        getProgress
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CamelAchievements;
+    } else {
+        root.CamelAchievements = CamelAchievements;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,303 @@
+/**
+ * Camel Drop Game - Audio Manager
+ * Web Audio mixer for the game. Music and sound effects each run through
+ * their own volume channel into a master channel that the mute switch
+ * silences. Effects play on a small pool of voices, so overlapping grunts
+ * ring out together instead of cutting each other off, and each voice gets
+ * a little pitch variation and a stereo position. Samples come from audio
+ * files; the coin, raid and purchase cues are synthesized. The looping music
+ * streams from its <audio> element, plugged into the music channel once
+ * audio is unlocked; until then, and without Web Audio (old browsers, Node),
+ * the element's own volume follows the settings and effects are a silent
+ * no-op.
+ */
+(function (root) {
+    /**
+     * @typedef {Object} AudioSettings
+     * @property {number} music - Music volume, 0 to 1.
+     * @property {number} sfx - Sound effect volume, 0 to 1.
+     * @property {boolean} muted - Silences everything without losing the volumes.
+     */
+
+    /** --- Audio Manager: defaults and voice pool tuning --- */
+    const DEFAULT_SETTINGS = { music: 0.3, sfx: 0.7, muted: false };
+    const MAX_VOICES = 8; // The oldest voice is cut when a ninth sound starts
+    const PITCH_VARIATION = 0.12; // Largest random change of playback rate either way
+    const SETTINGS_RAMP_SECONDS = 0.05; // Volume changes glide instead of clicking
+
+    /**
+     * --- Audio Manager: synthesized cues as note lists ---
+     * Each note: oscillator type, frequency in Hz, start and length in seconds, peak gain.
+     */
+    const SYNTH_CUES = {
+        coins: [
+            { type: 'square', frequency: 988, start: 0, length: 0.08, gain: 0.25 },
+            { type: 'square', frequency: 1319, start: 0.07, length: 0.18, gain: 0.25 }
+        ],
+        purchase: [
+            { type: 'triangle', frequency: 523, start: 0, length: 0.1, gain: 0.4 },
+            { type: 'triangle', frequency: 659, start: 0.08, length: 0.1, gain: 0.4 },
+            { type: 'triangle', frequency: 784, start: 0.16, length: 0.2, gain: 0.4 }
+        ],
+        raid: [
+            { type: 'sawtooth', frequency: 147, start: 0, length: 0.35, gain: 0.3 },
+            { type: 'sawtooth', frequency: 139, start: 0.3, length: 0.35, gain: 0.3 },
+            { type: 'sawtooth', frequency: 110, start: 0.6, length: 0.6, gain: 0.3 }
+        ]
+    };
+
+    /**
+     * --- Audio Manager: keep saved settings inside their ranges ---
+     * @param {Object} [saved] - Saved AudioSettings, possibly partial or malformed.
+     * @returns {AudioSettings} - Complete settings.
+     */
+    function normalizeAudioSettings(saved) {
+        const clean = Object.assign({}, DEFAULT_SETTINGS);
+        ['music', 'sfx'].forEach(channel => {
+            const volume = saved && saved[channel];
+            if (Number.isFinite(volume)) {
+                clean[channel] = Math.min(Math.max(volume, 0), 1);
+            }
+        });
+        if (saved && typeof saved.muted === 'boolean') {
+            clean.muted = saved.muted;
+        }
+        return clean;
+    }
+
+    /**
+     * --- Audio Manager: build the mixer ---
+     * Nothing is created until unlock(), since browsers only start audio after a
+     * user gesture.
+     * @param {Object} options - { musicElement, samples: {name: url}, settings, random }; random feeds pitch variation (default Math.random).
+     * @returns {Object} - Manager handle.
+     */
+    function createAudioManager(options) {
+        const AudioContextClass = root.AudioContext || root.webkitAudioContext;
+        const settings = normalizeAudioSettings(options.settings);
+        const random = options.random || Math.random;
+        const buffers = {};
+        const voices = []; // Oldest first: { stop, endsAt }
+        let context = null;
+        let masterGain = null;
+        let musicGain = null; // Stays null while the music element plays on its own
+        let sfxGain = null;
+
+        /**
+         * @param {GainNode} node - Channel to set.
+         * @param {number} value - Target gain.
+         */
+        const rampGain = (node, value) => {
+            node.gain.setTargetAtTime(value, context.currentTime, SETTINGS_RAMP_SECONDS);
+        };
+
+        const applySettings = () => {
+            if (options.musicElement) {
+                // Routed music takes its level from the music channel instead
+                options.musicElement.volume = musicGain ? 1 : (settings.muted ? 0 : settings.music);
+            }
+            if (context) {
+                rampGain(masterGain, settings.muted ? 0 : 1);
+                rampGain(sfxGain, settings.sfx);
+                if (musicGain) {
+                    rampGain(musicGain, settings.music);
+                }
+            }
+        };
+
+        /**
+         * @param {number} value - Starting gain, so a new channel does not glide in from full volume.
+         * @returns {GainNode} - Channel feeding the master channel.
+         */
+        const createChannel = value => {
+            const gain = context.createGain();
+            gain.gain.value = value;
+            gain.connect(masterGain);
+            return gain;
+        };
+
+        /**
+         * --- Audio Manager: plug the music element into the music channel ---
+         * An element can only be captured once per context, so this runs with the context.
+         */
+        const connectMusic = () => {
+            if (!options.musicElement || !context.createMediaElementSource) {
+                return;
+            }
+            try {
+                const source = context.createMediaElementSource(options.musicElement);
+                musicGain = createChannel(settings.music);
+                source.connect(musicGain);
+            } catch (error) {
+                console.error('Failed to route music through the mixer:', error);
+            }
+        };
+
+        /**
+         * --- Audio Manager: fetch and decode every sample once ---
+         */
+        const loadSamples = () => {
+            Object.keys(options.samples || {}).forEach(name => {
+                fetch(options.samples[name])
+                    .then(response => response.arrayBuffer())
+                    .then(data => context.decodeAudioData(data))
+                    .then(buffer => {
+                        buffers[name] = buffer;
+                    })
+                    .catch(error => console.error(`Failed to load the ${name} sound:`, error));
+            });
+        };
+
+        /**
+         * --- Audio Manager: claim a voice, cutting the oldest when the pool is full ---
+         * @param {Function} stop - Stops the sound early.
+         * @param {number} endsAt - Context time the sound ends by itself.
+         */
+        const addVoice = (stop, endsAt) => {
+            const now = context.currentTime;
+            for (let i = voices.length - 1; i >= 0; i--) {
+                if (voices[i].endsAt <= now) {
+                    voices.splice(i, 1);
+                }
+            }
+            while (voices.length >= MAX_VOICES) {
+                voices.shift().stop();
+            }
+            voices.push({ stop, endsAt });
+        };
+
+        /**
+         * --- Audio Manager: per-voice volume and stereo position into the SFX channel ---
+         * @param {number} volume - Voice gain.
+         * @param {number} pan - -1 (left) to 1 (right).
+         * @returns {GainNode} - Node the voice's source connects to.
+         */
+        const createVoiceOutput = (volume, pan) => {
+            const gain = context.createGain();
+            gain.gain.value = volume;
+            if (context.createStereoPanner) {
+                const panner = context.createStereoPanner();
+                panner.pan.value = Math.min(Math.max(pan, -1), 1);
+                gain.connect(panner);
+                panner.connect(sfxGain);
+            } else {
+                gain.connect(sfxGain);
+            }
+            return gain;
+        };
+
+        const manager = {
+            /**
+             * --- Audio Manager: start the context and music on the first user gesture ---
+             */
+            unlock() {
+                if (options.musicElement && options.musicElement.paused) {
+                    options.musicElement.play().catch(error => console.log('Music play error:', error));
+                }
+                if (!AudioContextClass) {
+                    return;
+                }
+                if (!context) {
+                    context = new AudioContextClass();
+                    masterGain = context.createGain();
+                    masterGain.gain.value = settings.muted ? 0 : 1;
+                    masterGain.connect(context.destination);
+                    sfxGain = createChannel(settings.sfx);
+                    connectMusic();
+                    applySettings();
+                    loadSamples();
+                }
+                if (context.state === 'suspended') {
+                    context.resume().catch(error => console.error('Failed to resume audio:', error));
+                }
+            },
+
+            /**
+             * --- Audio Manager: play a decoded sample on a fresh voice ---
+             * @param {string} name - Sample name from options.samples.
+             * @param {Object} [params] - { pan, volume }.
+             */
+            playSample(name, params = {}) {
+                if (!context || !buffers[name]) {
+                    return;
+                }
+                const source = context.createBufferSource();
+                source.buffer = buffers[name];
+                source.playbackRate.value = 1 + (random() * 2 - 1) * PITCH_VARIATION;
+                source.connect(createVoiceOutput(params.volume === undefined ? 1 : params.volume, params.pan || 0));
+                source.start();
+                addVoice(() => source.stop(), context.currentTime + source.buffer.duration / source.playbackRate.value);
+            },
+
+            /**
+             * --- Audio Manager: play one of SYNTH_CUES on a fresh voice ---
+             * @param {string} name - Cue name.
+             * @param {Object} [params] - { pan, volume }.
+             */
+            playCue(name, params = {}) {
+                const notes = SYNTH_CUES[name];
+                if (!context || !notes) {
+                    return;
+                }
+                const output = createVoiceOutput(params.volume === undefined ? 1 : params.volume, params.pan || 0);
+                const pitch = 1 + (random() * 2 - 1) * PITCH_VARIATION * 0.5;
+                const start = context.currentTime;
+                notes.forEach(note => {
+                    const oscillator = context.createOscillator();
+                    const envelope = context.createGain();
+                    oscillator.type = note.type;
+                    oscillator.frequency.value = note.frequency * pitch;
+                    envelope.gain.setValueAtTime(note.gain, start + note.start);
+                    envelope.gain.exponentialRampToValueAtTime(0.001, start + note.start + note.length);
+                    oscillator.connect(envelope);
+                    envelope.connect(output);
+                    oscillator.start(start + note.start);
+                    oscillator.stop(start + note.start + note.length);
+                });
+                const endsAt = start + Math.max(...notes.map(note => note.start + note.length));
+                // Notes already have their stop scheduled, so cutting the voice just unplugs it
+                addVoice(() => output.disconnect(), endsAt);
+            },
+
+            /**
+             * @param {string} channel - 'music' or 'sfx'.
+             * @param {number} volume - 0 to 1.
+             */
+            setVolume(channel, volume) {
+                Object.assign(settings, normalizeAudioSettings(Object.assign({}, settings, { [channel]: volume })));
+                applySettings();
+            },
+
+            /**
+             * @param {boolean} muted - Silence everything.
+             */
+            setMuted(muted) {
+                settings.muted = muted;
+                applySettings();
+            },
+
+            /**
+             * @returns {AudioSettings} - Copy of the current settings, ready to persist.
+             */
+            getSettings() {
+                return Object.assign({}, settings);
+            }
+        };
+        applySettings();
+        return manager;
+    }
+
+    const CamelAudio = {
+        DEFAULT_SETTINGS,
+        MAX_VOICES,
+        SYNTH_CUES,
+        normalizeAudioSettings,
+        createAudioManager
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CamelAudio;
+    } else {
+        root.CamelAudio = CamelAudio;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,263 @@
+/**
+ * Camel Drop Game - Camel Breeds
+ * Breeds a new camel can turn out to be, how rare each one is for player drops
+ * and for farm births, and the trait it brings to the herd. The economy keeps
+ * how many of each breed the herd holds (always adding up to the camel
+ * counter) and which breeds were ever found. DOM-free; also loads in Node.
+ */
+(function (root) {
+    /**
+     * @typedef {Object} CamelBreed
+     * @property {string} id - Key in EconomyState.herdBreeds and breedsFound.
+     * @property {string} name - Display name.
+     * @property {string} rarity - One of RARITIES' ids.
+     * @property {number} dropChance - Chance a dropped camel is of this breed.
+     * @property {number} farmChance - Chance a farm-bred camel is of this breed.
+     * @property {string|null} tint - Colour laid over the camel sprite, null for the plain sprite.
+     * @property {number} scale - Sprite size relative to a dromedary.
+     * @property {number} upkeep - Grass each camel eats per grazing cycle.
+     * @property {number} caravanGold - Extra share of caravan gold each camel in the herd adds.
+     * @property {string} trait - Trait description shown in the collection.
+     */
+
+    /** --- Camel Breeds: rarity tiers, commonest first --- */
+    const RARITIES = [
+        { id: 'common', name: 'Common', color: '#B0A48A' },
+        { id: 'uncommon', name: 'Uncommon', color: '#5FA84B' },
+        { id: 'rare', name: 'Rare', color: '#3C8DD8' },
+        { id: 'legendary', name: 'Legendary', color: '#E0A800' }
+    ];
+
+    /** @type {CamelBreed[]} */
+    const BREEDS = [
+        {
+            id: 'dromedary',
+            name: 'Dromedary',
+            rarity: 'common',
+            dropChance: 0.75,
+            farmChance: 0.8,
+            tint: null,
+            scale: 1,
+            upkeep: 1,
+            caravanGold: 0,
+            trait: 'The dependable one-humped camel of the dunes.'
+        },
+        {
+            id: 'bactrian',
+            name: 'Bactrian',
+            rarity: 'uncommon',
+            dropChance: 0.18,
+            farmChance: 0.15,
+            tint: '#6B3E1E',
+            scale: 1.1,
+            upkeep: 0.5,
+            caravanGold: 0,
+            trait: 'Two humps of stored fat: eats half the grass.'
+        },
+        {
+            id: 'white',
+            name: 'White Camel',
+            rarity: 'rare',
+            dropChance: 0.06,
+            farmChance: 0.045,
+            tint: '#FFFFFF',
+            scale: 1,
+            upkeep: 1,
+            caravanGold: 0.002,
+            trait: 'Traders pay for the sight of one: +0.2% caravan gold each.'
+        },
+        {
+            id: 'golden',
+            name: 'Golden Camel',
+            rarity: 'legendary',
+            dropChance: 0.01,
+            farmChance: 0.005,
+            tint: '#FFC61A',
+            scale: 0.9,
+            upkeep: 1,
+            caravanGold: 0.02,
+            trait: 'Brings luck to every road: +2% caravan gold each.'
+        }
+    ];
+
+    /** --- Camel Breeds: breed of camels from older saves and of whatever the odds leave over --- */
+    const DEFAULT_BREED_ID = 'dromedary';
+    const MAX_CARAVAN_GOLD_BONUS = 1; // Breed traits can at most double caravan gold
+
+    /**
+     * --- Camel Breeds: look up a breed by id ---
+     * @param {string} id - Breed id.
+     * @returns {CamelBreed|undefined} - The breed, if it exists.
+     */
+    function getBreed(id) {
+        return BREEDS.find(breed => breed.id === id);
+    }
+
+    /**
+     * --- Camel Breeds: look up a rarity tier by id ---
+     * @param {string} id - Rarity id.
+     * @returns {Object|undefined} - The tier, if it exists.
+     */
+    function getRarity(id) {
+        return RARITIES.find(rarity => rarity.id === id);
+    }
+
+    /**
+     * --- Camel Breeds: keep saved whole counts for known breeds only ---
+     * @param {Object} [counts] - Saved breed id -> count map.
+     * @returns {Object} - Clean map holding positive whole numbers.
+     */
+    function normalizeBreedCounts(counts) {
+        const clean = {};
+        BREEDS.forEach(breed => {
+            const count = counts && counts[breed.id];
+            if (Number.isFinite(count) && count >= 1) {
+                clean[breed.id] = Math.floor(count);
+            }
+        });
+        return clean;
+    }
+
+    /**
+     * --- Camel Breeds: make the per-breed herd counts add up to the camels owned ---
+     * Extra camels are dropped from every breed in proportion; camels without a
+     * breed (older saves) are dromedaries.
+     * @param {Object} [counts] - Saved breed id -> count map.
+     * @param {number} counter - Camels in the herd.
+     * @returns {Object} - Clean breed id -> count map.
+     */
+    function normalizeHerd(counts, counter) {
+        const herd = normalizeBreedCounts(counts);
+        const total = Object.keys(herd).reduce((sum, id) => sum + herd[id], 0);
+        if (total > counter) {
+            removeFromHerd(herd, total - counter);
+        } else if (total < counter) {
+            herd[DEFAULT_BREED_ID] = (herd[DEFAULT_BREED_ID] || 0) + counter - total;
+        }
+        return herd;
+    }
+
+    /**
+     * --- Camel Breeds: take camels out of a herd, each breed in proportion to its share ---
+     * Caravans, the market and hardship take a cross-section of the herd. Each
+     * breed gives up its whole share first; the camels left over by rounding
+     * come from the breeds with the largest fractions, commonest first on ties.
+     * @param {Object} herd - Breed id -> count map, changed in place.
+     * @param {number} amount - Camels to remove.
+     */
+    function removeFromHerd(herd, amount) {
+        const total = BREEDS.reduce((sum, breed) => sum + (herd[breed.id] || 0), 0);
+        if (amount <= 0 || total <= 0) {
+            return;
+        }
+        const removal = Math.min(amount, total);
+        const shares = BREEDS.map(breed => {
+            const exact = (herd[breed.id] || 0) * removal / total;
+            return { id: breed.id, removed: Math.floor(exact), fraction: exact - Math.floor(exact) };
+        });
+        let left = removal - shares.reduce((sum, share) => sum + share.removed, 0);
+        // Array sort is stable, so equal fractions keep BREEDS' commonest-first order
+        shares.slice().sort((a, b) => b.fraction - a.fraction).forEach(share => {
+            if (left > 0 && share.fraction > 0) {
+                share.removed++;
+                left--;
+            }
+        });
+        shares.forEach(share => {
+            if (share.removed > 0) {
+                herd[share.id] -= share.removed;
+                if (herd[share.id] === 0) {
+                    delete herd[share.id];
+                }
+            }
+        });
+    }
+
+    /**
+     * --- Camel Breeds: pick the breed one roll lands on ---
+     * @param {number} roll - Random float in [0, 1).
+     * @param {string} chanceKey - 'dropChance' or 'farmChance'.
+     * @returns {CamelBreed} - The breed; the default breed when the odds leave the roll uncovered.
+     */
+    function pickBreed(roll, chanceKey) {
+        let threshold = 0;
+        for (const breed of BREEDS) {
+            threshold += breed[chanceKey];
+            if (roll < threshold) {
+                return breed;
+            }
+        }
+        return getBreed(DEFAULT_BREED_ID);
+    }
+
+    /**
+     * --- Camel Breeds: decide the breeds of a batch of new camels ---
+     * A single camel takes one roll across every breed's odds. Bigger batches
+     * take each breed's expected share and round it randomly, so the odds hold
+     * without one roll per camel.
+     * @param {number} amount - Camels gained.
+     * @param {string} source - 'drop' or 'farm'.
+     * @param {Function} nextRandom - Returns floats in [0, 1).
+     * @returns {Object} - Breed id -> count map adding up to amount.
+     */
+    function rollBreeds(amount, source, nextRandom) {
+        const chanceKey = source === 'farm' ? 'farmChance' : 'dropChance';
+        if (amount === 1) {
+            return { [pickBreed(nextRandom(), chanceKey).id]: 1 };
+        }
+        const breeds = {};
+        let left = amount;
+        // Rarest first, so rounding never squeezes out the breeds that matter most
+        for (let i = BREEDS.length - 1; i > 0 && left > 0; i--) {
+            const breed = BREEDS[i];
+            const count = Math.min(left, Math.floor(amount * breed[chanceKey] + nextRandom()));
+            if (count > 0) {
+                breeds[breed.id] = count;
+                left -= count;
+            }
+        }
+        if (left > 0) {
+            breeds[DEFAULT_BREED_ID] = left;
+        }
+        return breeds;
+    }
+
+    /**
+     * @param {Object} state - EconomyState.
+     * @returns {number} - Grass the whole herd eats per grazing cycle.
+     */
+    function getHerdUpkeep(state) {
+        return BREEDS.reduce((sum, breed) => sum + (state.herdBreeds[breed.id] || 0) * breed.upkeep, 0);
+    }
+
+    /**
+     * @param {Object} state - EconomyState.
+     * @returns {number} - Multiplier on caravan gold from the breeds in the herd.
+     */
+    function getCaravanGoldMultiplier(state) {
+        const bonus = BREEDS.reduce((sum, breed) => sum + (state.herdBreeds[breed.id] || 0) * breed.caravanGold, 0);
+        return 1 + Math.min(bonus, MAX_CARAVAN_GOLD_BONUS);
+    }
+
+    const CamelBreeds = {
+        BREEDS,
+        RARITIES,
+        DEFAULT_BREED_ID,
+        MAX_CARAVAN_GOLD_BONUS,
+        getBreed,
+        getRarity,
+        normalizeBreedCounts,
+        normalizeHerd,
+        removeFromHerd,
+        pickBreed,
+        rollBreeds,
+        getHerdUpkeep,
+        getCaravanGoldMultiplier
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CamelBreeds;
+    } else {
+        root.CamelBreeds = CamelBreeds;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
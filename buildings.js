@@ -0,0 +1,142 @@
+/**
+ * Camel Drop Game - Building Registry
+ * Every building the player can buy, described as data: its price curve, what
+ * one building produces, and when it unlocks. The economy engine prices and
+ * applies buildings from here, and the UI builds its buttons from the same
+ * list. DOM-free; also loads in Node.
+ */
+(function (root) {
+    /**
+     * @typedef {Object} BuildingDefinition
+     * @property {string} id - Key used by purchases and events.
+     * @property {string} icon - Emoji shown on the buy button.
+     * @property {string} name - Display name.
+     * @property {string} countKey - EconomyState field holding how many are owned.
+     * @property {number} baseCost - Gold price of the first building.
+     * @property {number} costGrowth - Each owned building multiplies the next price by this.
+     * @property {number} production - Effect of one building, in the unit described by `effect`.
+     * @property {string} effect - Tooltip text for what one building does.
+     * @property {string} purchaseMessage - Status line after buying.
+     * @property {Function} isUnlocked - (state) => boolean.
+     * @property {string} unlockHint - Shown while the building is locked.
+     */
+
+    /** @type {BuildingDefinition[]} */
+    const BUILDINGS = [
+        {
+            id: 'farm',
+            icon: '🏡',
+            name: 'Farm',
+            countKey: 'farmCount',
+            baseCost: 25,
+            costGrowth: 1.15,
+            production: 1, // Camels bred per farm cycle, one grass each
+            effect: 'breeds 1 camel per cycle from grass',
+            purchaseMessage: 'New farm built! 🏡',
+            isUnlocked: () => true,
+            unlockHint: ''
+        },
+        {
+            id: 'grassland',
+            icon: '🌿',
+            name: 'Grassland',
+            countKey: 'grasslandCount',
+            baseCost: 50,
+            costGrowth: 1.12,
+            production: 1, // Grass per second
+            effect: 'grows 1 grass per second',
+            purchaseMessage: 'Fresh grassland cultivated! 🏕️',
+            isUnlocked: state => state.farmCount >= 2 || state.grasslandCount > 0,
+            unlockHint: 'Build 2 farms first.'
+        },
+        {
+            id: 'guardCamp',
+            icon: '🛡️',
+            name: 'Guard camp',
+            countKey: 'guardCampCount',
+            baseCost: 100,
+            costGrowth: 1.3,
+            production: 1, // Guard strength per camp; bandit losses divide by 1 + total strength
+            effect: 'adds a guard; bandits take caravans half as often with 1 camp, a third as often with 2, and so on',
+            purchaseMessage: 'Guard camp established! 🛡️',
+            isUnlocked: state => state.caravanCount >= 3 || state.guardCampCount > 0,
+            unlockHint: 'Have 3 caravans on the road first.'
+        }
+    ];
+
+    /** --- Building Registry: stop ×max from looping forever on tiny prices --- */
+    const MAX_BULK_PURCHASE = 1000;
+
+    /**
+     * --- Building Registry: look up a building by id ---
+     * @param {string} id - Building id.
+     * @returns {BuildingDefinition|undefined} - The definition, if it exists.
+     */
+    function getBuilding(id) {
+        return BUILDINGS.find(building => building.id === id);
+    }
+
+    /**
+     * --- Building Registry: gold price of the building after `owned` are already built ---
+     * @param {BuildingDefinition} building - Definition to price.
+     * @param {number} owned - Buildings already owned.
+     * @param {number} multiplier - Discount from upgrades (1 = full price).
+     * @returns {number} - Whole gold price, at least 1.
+     */
+    function getUnitCost(building, owned, multiplier) {
+        return Math.max(1, Math.ceil(building.baseCost * Math.pow(building.costGrowth, owned) * multiplier));
+    }
+
+    /**
+     * --- Building Registry: exact price of buying several in a row ---
+     * @param {BuildingDefinition} building - Definition to price.
+     * @param {number} owned - Buildings already owned.
+     * @param {number} quantity - How many to buy.
+     * @param {number} multiplier - Discount from upgrades.
+     * @returns {number} - Sum of each unit's price.
+     */
+    function getBulkCost(building, owned, quantity, multiplier) {
+        let total = 0;
+        for (let i = 0; i < quantity; i++) {
+            total += getUnitCost(building, owned + i, multiplier);
+        }
+        return total;
+    }
+
+    /**
+     * --- Building Registry: largest batch a budget can pay for ---
+     * @param {BuildingDefinition} building - Definition to price.
+     * @param {number} owned - Buildings already owned.
+     * @param {number} budget - Gold available.
+     * @param {number} multiplier - Discount from upgrades.
+     * @returns {{quantity: number, cost: number}} - Affordable amount and its total price.
+     */
+    function getMaxAffordable(building, owned, budget, multiplier) {
+        let quantity = 0;
+        let cost = 0;
+        while (quantity < MAX_BULK_PURCHASE) {
+            const next = getUnitCost(building, owned + quantity, multiplier);
+            if (cost + next > budget) {
+                break;
+            }
+            cost += next;
+            quantity += 1;
+        }
+        return { quantity, cost };
+    }
+
+    const CamelBuildings = {
+        BUILDINGS,
+        MAX_BULK_PURCHASE,
+        getBuilding,
+        getUnitCost,
+        getBulkCost,
+        getMaxAffordable
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CamelBuildings;
+    } else {
+        root.CamelBuildings = CamelBuildings;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,1032 @@
+/**
+ * Camel Drop Game - Economy Engine
+ * DOM-free simulation of the incremental economy. Every rule works on an
+ * explicit state object and reports what happened through events, so the
+ * browser UI (script2d.js) can subscribe to it and Node scripts can drive it
+ * directly with require('./economy.js').
+ */
+(function (root) {
+    const CamelRandom = typeof module !== 'undefined' && module.exports ? require('./random.js') : root.CamelRandom;
+    const CamelUpgrades = typeof module !== 'undefined' && module.exports ? require('./upgrades.js') : root.CamelUpgrades;
+    const CamelBuildings = typeof module !== 'undefined' && module.exports ? require('./buildings.js') : root.CamelBuildings;
+    const CamelRoutes = typeof module !== 'undefined' && module.exports ? require('./routes.js') : root.CamelRoutes;
+    const CamelMarket = typeof module !== 'undefined' && module.exports ? require('./market.js') : root.CamelMarket;
+    const CamelWeather = typeof module !== 'undefined' && module.exports ? require('./weather.js') : root.CamelWeather;
+    const CamelBreeds = typeof module !== 'undefined' && module.exports ? require('./breeds.js') : root.CamelBreeds;
+
+    /** --- Economy Engine: tuning --- */
+    const FARM_CYCLE_SECONDS = 2;
+    const GRAZING_CYCLE_SECONDS = 10;
+    const BANDIT_CYCLE_SECONDS = 60;
+    const CARAVAN_CAMEL_COST = 100;
+    const NOMAD_CAMEL_THRESHOLD = 1000;
+    const NOMAD_CARAVAN_THRESHOLD = 100;
+    const FARM = CamelBuildings.getBuilding('farm');
+    const GRASSLAND = CamelBuildings.getBuilding('grassland');
+    const GUARD_CAMP = CamelBuildings.getBuilding('guardCamp');
+
+    /** --- Herd Health: starvation tuning --- */
+    const MAX_HERD_HEALTH = 100;
+    const STARVATION_DAMAGE = 10; // Health lost per grazing cycle without any grass
+    const HEALTH_RECOVERY = 5; // Health regained per fully fed grazing cycle
+    const WEAK_HERD_HEALTH = 50; // Below this farms breed slower and caravans bring back less
+    const MIN_HEALTH_FACTOR = 0.25;
+    const DESERT_FORAGE = 50; // Grass per grazing cycle the herd finds on its own, so a young herd never starves
+    const DIE_OFF_SHARE = 0.05; // Share of the herd lost per grazing cycle spent at zero health
+    const HEALTH_WARNINGS = [75, 50, 25]; // Announced on the way down, before any camel dies
+
+    /**
+     * @typedef {Object} EconomyState
+     * @property {number} counter - Camels in the herd.
+     * @property {Object<string, number>} herdBreeds - Camels of each breed in breeds.js; adds up to counter.
+     * @property {Object<string, number>} breedsFound - Camels of each breed ever gained, kept across migrations.
+     * @property {number} herdHealth - 0 to MAX_HERD_HEALTH; falls while the herd goes hungry.
+     * @property {number} goldAmount - Gold in the stash.
+     * @property {number} caravanCount - Active caravans, across every route.
+     * @property {Object<string, number>} caravanRoutes - Caravans travelling each route in routes.js.
+     * @property {number} farmCount - Farms breeding camels.
+     * @property {number} grassAmount - Grass available for farms and grazing.
+     * @property {number} grasslandCount - Grasslands generating grass.
+     * @property {number} guardCampCount - Guard camps protecting caravans.
+     * @property {number} nomadTokens - Prestige tokens kept across migrations.
+     * @property {Object<string, number>} nomadUpgrades - Owned level of each upgrade in upgrades.js.
+     * @property {Object<string, number>} routeTimers - Seconds into the current trip on each route.
+     * @property {Object<string, number>} routeCargo - Grass loaded for the current trip on each route.
+     * @property {number} farmProductionTimer - Seconds towards the next breeding cycle.
+     * @property {number} grassConsumptionTimer - Seconds towards the next grazing cycle.
+     * @property {number} banditTimer - Seconds towards the next bandit roll.
+     * @property {number} pendingRaids - Raids spotted but waiting for an encounter to resolve them.
+     * @property {Object<string, number>} marketPrices - Price factor of each good in market.js.
+     * @property {number} marketTimer - Seconds towards the next price drift.
+     * @property {Object<string, number>} weather - Seconds left of the weather event in weather.js, if one runs.
+     * @property {number} weatherTimer - Seconds towards the next weather roll.
+     * @property {number} grassGrowthRemainder - Fractional grass carried between ticks.
+     * @property {number} rngSeed - Seed of the economy's random stream.
+     * @property {number} rngState - Current position in that stream.
+     */
+
+    /**
+     * @typedef {Object} EconomyEvent
+     * @property {string} type - Event name, e.g. 'grassGrown' or 'banditRaid'.
+     * @property {boolean} catchUp - True when raised while simulating elapsed time.
+     */
+
+    /**
+     * --- Economy Engine: build a fresh state, keeping valid numbers from data ---
+     * @param {Object} [data] - Previously saved values to restore.
+     * @returns {EconomyState} - A complete state object.
+     */
+    function createEconomyState(data) {
+        const state = {
+            counter: 0,
+            goldAmount: 0,
+            caravanCount: 0,
+            farmCount: 0,
+            grassAmount: 0,
+            grasslandCount: 0,
+            guardCampCount: 0,
+            nomadTokens: 0,
+            herdHealth: MAX_HERD_HEALTH,
+            farmProductionTimer: 0,
+            grassConsumptionTimer: 0,
+            banditTimer: 0,
+            pendingRaids: 0,
+            marketTimer: 0,
+            weatherTimer: 0,
+            grassGrowthRemainder: 0,
+            rngSeed: 0,
+            rngState: 0,
+            nomadUpgrades: {},
+            caravanRoutes: {},
+            routeTimers: {},
+            routeCargo: {},
+            marketPrices: CamelMarket.normalizePrices(),
+            weather: {},
+            herdBreeds: {},
+            breedsFound: {}
+        };
+        if (data) {
+            Object.keys(state).forEach(key => {
+                if (Number.isFinite(data[key])) {
+                    state[key] = data[key];
+                }
+            });
+            state.nomadUpgrades = CamelUpgrades.normalizeUpgradeLevels(data.nomadUpgrades);
+            state.caravanRoutes = CamelRoutes.normalizeRouteCounts(data.caravanRoutes, state.caravanCount);
+            state.routeTimers = CamelRoutes.normalizeRouteValues(data.routeTimers);
+            state.routeCargo = CamelRoutes.normalizeRouteValues(data.routeCargo);
+            state.marketPrices = CamelMarket.normalizePrices(data.marketPrices);
+            state.weather = CamelWeather.normalizeWeather(data.weather);
+            state.herdBreeds = CamelBreeds.normalizeHerd(data.herdBreeds, state.counter);
+            state.breedsFound = CamelBreeds.normalizeBreedCounts(data.breedsFound);
+        }
+        // --- Economy Engine: new games get a seed, seeded games start at its beginning ---
+        if (!data || !Number.isFinite(data.rngSeed)) {
+            state.rngSeed = CamelRandom.createSeed();
+        }
+        if (!data || !Number.isFinite(data.rngState)) {
+            state.rngState = state.rngSeed;
+        }
+        return state;
+    }
+
+    /**
+     * --- Economy Engine: draw from the saved random stream ---
+     * @param {EconomyState} state - State whose rngState advances.
+     * @returns {number} - Float in [0, 1), like Math.random().
+     */
+    function random(state) {
+        const result = CamelRandom.step(state.rngState);
+        state.rngState = result.state;
+        return result.value;
+    }
+
+    /**
+     * --- Economy Engine: grass creation from grasslands ---
+     * @param {EconomyState} state - State to advance.
+     * @param {number} deltaSeconds - Elapsed seconds since last check.
+     * @param {Function} emit - Event sink.
+     * @returns {boolean} - True when grass changed.
+     */
+    function applyGrasslandGrowth(state, deltaSeconds, emit) {
+        if (state.grasslandCount === 0 || deltaSeconds <= 0) {
+            return false;
+        }
+        // --- Economy Engine: carry fractional growth so uneven ticks lose nothing ---
+        state.grassGrowthRemainder += state.grasslandCount * GRASSLAND.production * deltaSeconds
+            * CamelUpgrades.getGrassGrowthMultiplier(state) * CamelWeather.getGrassMultiplier(state);
+        const grassGained = Math.floor(state.grassGrowthRemainder);
+        if (grassGained <= 0) {
+            return false;
+        }
+        state.grassGrowthRemainder -= grassGained;
+        state.grassAmount += grassGained;
+        emit('grassGrown', { amount: grassGained });
+        return true;
+    }
+
+    /**
+     * --- Economy Engine: produce camels from farms if grass is ready ---
+     * @param {EconomyState} state - State to advance.
+     * @param {number} deltaSeconds - Elapsed seconds since previous tick.
+     * @param {Function} emit - Event sink.
+     * @returns {boolean} - True when camels produced.
+     */
+    function processFarmProduction(state, deltaSeconds, emit) {
+        const cycleSeconds = CamelUpgrades.getFarmCycleSeconds(state, FARM_CYCLE_SECONDS) / getHerdHealthFactor(state);
+        state.farmProductionTimer += deltaSeconds;
+        if (state.farmCount === 0) {
+            // --- Economy Engine: idle timers never bank more than one cycle ---
+            state.farmProductionTimer = Math.min(state.farmProductionTimer, cycleSeconds);
+            return false;
+        }
+        if (state.farmProductionTimer < cycleSeconds) {
+            return false;
+        }
+
+        const cycles = Math.floor(state.farmProductionTimer / cycleSeconds);
+        const potentialCamels = cycles * state.farmCount * FARM.production;
+        const camelsProduced = Math.min(potentialCamels, state.grassAmount);
+        if (camelsProduced <= 0) {
+            // --- Economy Engine: farms wait for grass without banking cycles ---
+            state.farmProductionTimer = Math.min(state.farmProductionTimer, cycleSeconds);
+            return false;
+        }
+
+        // --- Economy Engine: convert grass into camels ---
+        state.grassAmount -= camelsProduced;
+        state.farmProductionTimer -= cycles * cycleSeconds;
+        gainCamels(state, camelsProduced, 'farm', emit);
+        return true;
+    }
+
+    /**
+     * --- Herd Health: how well a weak herd still breeds and trades ---
+     * @param {EconomyState} state - State to inspect.
+     * @returns {number} - 1 for a healthy herd, down to MIN_HEALTH_FACTOR for a starving one.
+     */
+    function getHerdHealthFactor(state) {
+        return Math.min(1, Math.max(MIN_HEALTH_FACTOR, state.herdHealth / WEAK_HERD_HEALTH));
+    }
+
+    /**
+     * --- Herd Health: hunger wears the herd down, full meals build it back up ---
+     * Camels only die once health has hit zero, so every warning comes first.
+     * @param {EconomyState} state - State to change.
+     * @param {number} cycles - Grazing cycles that just passed.
+     * @param {number} shortfall - Share of the grass needed that was missing, 0 to 1.
+     * @param {Function} emit - Event sink.
+     * @returns {boolean} - True when camels died.
+     */
+    function updateHerdHealth(state, cycles, shortfall, emit) {
+        const previous = state.herdHealth;
+        let died = 0;
+        for (let i = 0; i < cycles; i++) {
+            if (shortfall > 0 && state.herdHealth === 0) {
+                died += Math.ceil((state.counter - died) * DIE_OFF_SHARE * shortfall);
+            }
+            const change = shortfall > 0 ? -STARVATION_DAMAGE * shortfall : HEALTH_RECOVERY;
+            state.herdHealth = Math.min(MAX_HERD_HEALTH, Math.max(0, state.herdHealth + change));
+        }
+
+        HEALTH_WARNINGS.forEach(threshold => {
+            if (previous >= threshold && state.herdHealth < threshold) {
+                emit('herdWeakened', { health: state.herdHealth, threshold });
+            }
+        });
+        if (previous < MAX_HERD_HEALTH && state.herdHealth === MAX_HERD_HEALTH) {
+            emit('herdRecovered', { health: state.herdHealth });
+        }
+        if (died === 0) {
+            return false;
+        }
+        died = Math.min(died, state.counter);
+        state.counter -= died;
+        CamelBreeds.removeFromHerd(state.herdBreeds, died);
+        emit('camelsStarved', { amount: died, health: state.herdHealth });
+        return true;
+    }
+
+    /**
+     * --- Economy Engine: grass upkeep for camels ---
+     * @param {EconomyState} state - State to advance.
+     * @param {number} deltaSeconds - Elapsed seconds since previous tick.
+     * @param {Function} emit - Event sink.
+     * @returns {boolean} - True when grass or camels changed.
+     */
+    function processGrassConsumption(state, deltaSeconds, emit) {
+        state.grassConsumptionTimer += deltaSeconds;
+        if (state.counter <= 0) {
+            state.grassConsumptionTimer = Math.min(state.grassConsumptionTimer, GRAZING_CYCLE_SECONDS);
+            // --- Herd Health: the next herd starts out well fed ---
+            state.herdHealth = MAX_HERD_HEALTH;
+            return false;
+        }
+        if (state.grassConsumptionTimer < GRAZING_CYCLE_SECONDS) {
+            return false;
+        }
+
+        const cycles = Math.floor(state.grassConsumptionTimer / GRAZING_CYCLE_SECONDS);
+        const grassNeeded = Math.ceil(CamelBreeds.getHerdUpkeep(state) * cycles);
+        const grassUsed = Math.min(grassNeeded, state.grassAmount);
+        // --- Economy Engine: upkeep cost for herd ---
+        state.grassAmount -= grassUsed;
+        state.grassConsumptionTimer -= cycles * GRAZING_CYCLE_SECONDS;
+        emit('herdGrazed', { amount: grassUsed, needed: grassNeeded });
+        const missing = Math.max(0, grassNeeded - grassUsed - DESERT_FORAGE * cycles);
+        const starved = updateHerdHealth(state, cycles, grassNeeded > 0 ? missing / grassNeeded : 0, emit);
+        return grassUsed > 0 || starved;
+    }
+
+    /**
+     * --- Economy Engine: how much guard camps shrink the chance of losing a caravan ---
+     * Every camp adds guard strength, but each one helps less than the last:
+     * the chance divides by 1 + strength, so it never reaches zero.
+     * @param {EconomyState} state - State to inspect.
+     * @returns {number} - 1 without camps, falling towards 0 as camps are built.
+     */
+    function getGuardLossFactor(state) {
+        return 1 / (1 + state.guardCampCount * GUARD_CAMP.production);
+    }
+
+    /**
+     * --- Economy Engine: load a route's provisions so its caravans can set out ---
+     * @param {EconomyState} state - State to change.
+     * @param {Object} route - CaravanRoute from routes.js.
+     * @param {Function} emit - Event sink.
+     * @returns {boolean} - True when the caravans are on the road.
+     */
+    function loadRouteCargo(state, route, emit) {
+        if (route.cargo === 0 || state.routeCargo[route.id] > 0) {
+            return true;
+        }
+        const needed = route.cargo * state.caravanRoutes[route.id];
+        if (state.grassAmount < needed) {
+            return false;
+        }
+        state.grassAmount -= needed;
+        state.routeCargo[route.id] = needed;
+        emit('cargoLoaded', { route: route.id, amount: needed });
+        return true;
+    }
+
+    /**
+     * --- Economy Engine: caravans come home from a trip, minus any bandits took ---
+     * @param {EconomyState} state - State to change.
+     * @param {Object} route - CaravanRoute from routes.js.
+     * @param {Function} emit - Event sink.
+     */
+    function completeRouteTrip(state, route, emit) {
+        const caravans = state.caravanRoutes[route.id];
+        const lossChance = route.risk * getGuardLossFactor(state);
+        const canLose = lossChance > 0 && !CamelUpgrades.hasCaravanLossImmunity(state);
+        const multiplier = (1 + state.nomadTokens * 0.01) * CamelBreeds.getCaravanGoldMultiplier(state) * getHerdHealthFactor(state);
+        let lost = 0;
+        let gold = 0;
+        for (let i = 0; i < caravans; i++) {
+            if (canLose && random(state) < lossChance) {
+                lost += 1;
+                continue;
+            }
+            const baseGold = Math.floor(random(state) * (route.maxGold - route.minGold + 1)) + route.minGold;
+            gold += Math.floor(baseGold * multiplier);
+        }
+
+        delete state.routeCargo[route.id];
+        removeCaravans(state, route.id, lost);
+        emit('caravanArrived', { route: route.id, caravans: caravans - lost, lost, gold });
+        if (gold > 0) {
+            gainGold(state, gold, 'caravan', emit);
+        }
+    }
+
+    /**
+     * --- Economy Engine: move every route's caravans along, paying out finished trips ---
+     * Trips on routes that need cargo only start once enough grass is loaded;
+     * until then the route's caravans wait at camp.
+     * @param {EconomyState} state - State to advance.
+     * @param {number} deltaSeconds - Elapsed seconds since previous tick.
+     * @param {Function} emit - Event sink.
+     * @returns {boolean} - True when gold, grass or caravans changed.
+     */
+    function processCaravanRoutes(state, deltaSeconds, emit) {
+        let resourcesChanged = false;
+        const travelSeconds = deltaSeconds * CamelWeather.getCaravanSpeed(state);
+        CamelRoutes.ROUTES.forEach(route => {
+            if (!state.caravanRoutes[route.id]) {
+                delete state.routeTimers[route.id];
+                delete state.routeCargo[route.id];
+                return;
+            }
+            const hadCargo = state.routeCargo[route.id] > 0;
+            if (!loadRouteCargo(state, route, emit)) {
+                return;
+            }
+            resourcesChanged = resourcesChanged || (route.cargo > 0 && !hadCargo);
+
+            state.routeTimers[route.id] = (state.routeTimers[route.id] || 0) + travelSeconds;
+            while (state.routeTimers[route.id] >= route.travelSeconds) {
+                state.routeTimers[route.id] -= route.travelSeconds;
+                completeRouteTrip(state, route, emit);
+                resourcesChanged = true;
+                if (!state.caravanRoutes[route.id] || !loadRouteCargo(state, route, emit)) {
+                    // --- Economy Engine: nobody left or nothing to load, so the next trip waits ---
+                    state.routeTimers[route.id] = 0;
+                    break;
+                }
+            }
+        });
+        return resourcesChanged;
+    }
+
+    /**
+     * --- Economy Engine: let market prices wander, drifting back towards their base ---
+     * @param {EconomyState} state - State to advance.
+     * @param {number} deltaSeconds - Elapsed seconds since previous tick.
+     * @param {Function} emit - Event sink.
+     * @returns {boolean} - Always false; prices are not resources.
+     */
+    function processMarketDrift(state, deltaSeconds, emit) {
+        state.marketTimer += deltaSeconds;
+        if (state.marketTimer < CamelMarket.DRIFT_CYCLE_SECONDS) {
+            return false;
+        }
+        const cycles = Math.floor(state.marketTimer / CamelMarket.DRIFT_CYCLE_SECONDS);
+        state.marketTimer -= cycles * CamelMarket.DRIFT_CYCLE_SECONDS;
+        for (let i = 0; i < cycles; i++) {
+            CamelMarket.GOODS.forEach(good => {
+                state.marketPrices[good.id] = CamelMarket.driftFactor(state.marketPrices[good.id], random(state));
+            });
+        }
+        emit('marketMoved', { prices: Object.assign({}, state.marketPrices) });
+        return false;
+    }
+
+    /**
+     * --- Economy Engine: run down the current weather event, or roll for a new one ---
+     * @param {EconomyState} state - State to advance.
+     * @param {number} deltaSeconds - Elapsed seconds since previous tick.
+     * @param {Function} emit - Event sink.
+     * @returns {boolean} - Always false; weather changes rates, not resources.
+     */
+    function processWeather(state, deltaSeconds, emit) {
+        const active = CamelWeather.getActiveWeather(state);
+        if (active) {
+            state.weather[active.id] -= deltaSeconds;
+            if (state.weather[active.id] <= 0) {
+                delete state.weather[active.id];
+                emit('weatherEnded', { weather: active.id });
+            }
+            return false;
+        }
+
+        state.weatherTimer += deltaSeconds;
+        while (state.weatherTimer >= CamelWeather.WEATHER_CYCLE_SECONDS) {
+            state.weatherTimer -= CamelWeather.WEATHER_CYCLE_SECONDS;
+            const weather = CamelWeather.pickWeather(random(state));
+            if (weather) {
+                const duration = weather.minSeconds + random(state) * (weather.maxSeconds - weather.minSeconds);
+                state.weather[weather.id] = duration;
+                emit('weatherStarted', { weather: weather.id, duration });
+                break;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * --- Economy Engine: random bandit raid processing ---
+     * With encounters on, an attack is only announced and queued in
+     * pendingRaids; the UI plays it out and settles it with resolveBanditRaid().
+     * @param {EconomyState} state - State to advance.
+     * @param {number} deltaSeconds - Elapsed seconds since previous tick.
+     * @param {Function} emit - Event sink.
+     * @param {boolean} [encounters] - Queue attacks instead of resolving them.
+     * @returns {boolean} - True when resources changed.
+     */
+    function processBanditRaid(state, deltaSeconds, emit, encounters) {
+        state.banditTimer += deltaSeconds;
+        if (state.banditTimer < BANDIT_CYCLE_SECONDS) {
+            return false;
+        }
+
+        const cycles = Math.floor(state.banditTimer / BANDIT_CYCLE_SECONDS);
+        state.banditTimer -= cycles * BANDIT_CYCLE_SECONDS;
+
+        let resourcesChanged = false;
+        for (let i = 0; i < cycles; i++) {
+            const attackChance = random(state) * 0.05 + 0.05; // 5-10%
+            if (random(state) > attackChance) {
+                continue;
+            }
+            if (encounters) {
+                state.pendingRaids += 1;
+                emit('banditsSpotted', { pendingRaids: state.pendingRaids });
+                continue;
+            }
+            resourcesChanged = resolveBanditRaid(state, 0, emit) || resourcesChanged;
+        }
+
+        return resourcesChanged;
+    }
+
+    /**
+     * --- Economy Engine: settle one raid ---
+     * Guard camps shrink the chance of losing a caravan (escorts remove it);
+     * whatever share of the bandits the player drove off scales down both the
+     * caravan loss chance and the gold taken. Auto-resolved raids pass 0.
+     * @param {EconomyState} state - State to change.
+     * @param {number} defense - Share of the bandits repelled, 0 to 1.
+     * @param {Function} emit - Event sink.
+     * @returns {boolean} - True when resources changed.
+     */
+    function resolveBanditRaid(state, defense, emit) {
+        const shareTaken = 1 - Math.min(Math.max(defense, 0), 1);
+        const lossChance = getGuardLossFactor(state) * shareTaken;
+        let caravanLost = false;
+        if (state.caravanCount > 0 && random(state) < lossChance && !CamelUpgrades.hasCaravanLossImmunity(state)) {
+            // --- Economy Engine: raiders hit the busiest route ---
+            const busiest = CamelRoutes.ROUTES.reduce((best, route) =>
+                (state.caravanRoutes[route.id] || 0) > (state.caravanRoutes[best.id] || 0) ? route : best);
+            removeCaravans(state, busiest.id, 1);
+            caravanLost = true;
+        }
+
+        const goldStolen = Math.min(state.goldAmount, Math.floor(state.goldAmount * (0.1 + random(state) * 0.1) * shareTaken));
+        if (goldStolen > 0) {
+            state.goldAmount -= goldStolen;
+        }
+
+        emit('banditRaid', { caravanLost, goldStolen, defense });
+        return caravanLost || goldStolen > 0;
+    }
+
+    /**
+     * --- Economy Engine: settle the oldest raid waiting for an encounter ---
+     * @param {EconomyState} state - State to change.
+     * @param {number} defense - Share of the bandits repelled, 0 to 1.
+     * @param {Function} emit - Event sink.
+     * @returns {boolean} - True when a raid was waiting.
+     */
+    function resolvePendingRaid(state, defense, emit) {
+        if (state.pendingRaids <= 0) {
+            return false;
+        }
+        state.pendingRaids -= 1;
+        resolveBanditRaid(state, defense, emit);
+        return true;
+    }
+
+    /**
+     * --- Economy Engine: apply passive generation and upkeep ---
+     * @param {EconomyState} state - State to advance.
+     * @param {number} deltaSeconds - Elapsed seconds since previous tick.
+     * @param {Function} emit - Event sink.
+     * @param {Object} [options] - { raidEncounters } queues raids for the UI to play out.
+     * @returns {boolean} - True when any resource changed.
+     */
+    function runEconomyTick(state, deltaSeconds, emit, options = {}) {
+        // --- Economy Engine: weather first, so this tick already feels it ---
+        processWeather(state, deltaSeconds, emit);
+        const grassGrowthChanged = applyGrasslandGrowth(state, deltaSeconds, emit);
+        const farmChanged = processFarmProduction(state, deltaSeconds, emit);
+        const grassConsumed = processGrassConsumption(state, deltaSeconds, emit);
+        const caravansChanged = processCaravanRoutes(state, deltaSeconds, emit);
+        const banditEvent = processBanditRaid(state, deltaSeconds, emit, options.raidEncounters);
+        processMarketDrift(state, deltaSeconds, emit);
+        return grassGrowthChanged || farmChanged || grassConsumed || caravansChanged || banditEvent;
+    }
+
+    /**
+     * --- Economy Engine: add camels to the herd, rolling the breed of each ---
+     * @param {EconomyState} state - State to change.
+     * @param {number} amount - Camels to add.
+     * @param {string} source - Where they came from: 'drop' or 'farm'.
+     * @param {Function} emit - Event sink.
+     */
+    function gainCamels(state, amount, source, emit) {
+        if (amount <= 0) {
+            return;
+        }
+        const breeds = CamelBreeds.rollBreeds(amount, source, () => random(state));
+        const discovered = Object.keys(breeds).filter(id => !state.breedsFound[id]);
+        Object.keys(breeds).forEach(id => {
+            state.herdBreeds[id] = (state.herdBreeds[id] || 0) + breeds[id];
+            state.breedsFound[id] = (state.breedsFound[id] || 0) + breeds[id];
+        });
+        state.counter += amount;
+        emit('camelsGained', { amount, source, breeds });
+        discovered.forEach(id => emit('breedDiscovered', { breed: id }));
+    }
+
+    /**
+     * --- Economy Engine: reduce camels if enough are available ---
+     * @param {EconomyState} state - State to change.
+     * @param {number} amount - Camels to spend.
+     * @param {Function} emit - Event sink.
+     * @returns {boolean} - True when deduction succeeds.
+     */
+    function spendCamels(state, amount, emit) {
+        if (amount <= 0 || state.counter < amount) {
+            return false;
+        }
+        state.counter -= amount;
+        CamelBreeds.removeFromHerd(state.herdBreeds, amount);
+        emit('camelsSpent', { amount });
+        return true;
+    }
+
+    /**
+     * --- Economy Engine: add gold to the stash ---
+     * @param {EconomyState} state - State to change.
+     * @param {number} amount - Gold to add.
+     * @param {string} source - Where it came from, e.g. 'caravan'.
+     * @param {Function} emit - Event sink.
+     */
+    function gainGold(state, amount, source, emit) {
+        if (amount <= 0) {
+            return;
+        }
+        state.goldAmount += amount;
+        emit('goldGained', { amount, source });
+    }
+
+    /**
+     * --- Economy Engine: spend gold when affordable ---
+     * @param {EconomyState} state - State to change.
+     * @param {number} cost - Gold required.
+     * @param {Function} emit - Event sink.
+     * @returns {boolean} - True when cost is paid.
+     */
+    function spendGold(state, cost, emit) {
+        if (cost <= 0 || state.goldAmount < cost) {
+            return false;
+        }
+        state.goldAmount -= cost;
+        emit('goldSpent', { amount: cost });
+        return true;
+    }
+
+    /**
+     * --- Economy Engine: whether a building's unlock condition is met ---
+     * @param {EconomyState} state - State to inspect.
+     * @param {string} building - Building id from buildings.js.
+     * @returns {boolean} - True when it can be bought.
+     */
+    function isBuildingUnlocked(state, building) {
+        const definition = CamelBuildings.getBuilding(building);
+        return Boolean(definition) && definition.isUnlocked(state);
+    }
+
+    /**
+     * --- Economy Engine: exact gold price of the next buildings, after upgrades ---
+     * @param {EconomyState} state - State to inspect.
+     * @param {string} building - Building id from buildings.js.
+     * @param {number} [quantity] - How many to price; defaults to 1.
+     * @returns {number} - Total cost in gold, or 0 for unknown buildings.
+     */
+    function getBuildingCost(state, building, quantity = 1) {
+        const definition = CamelBuildings.getBuilding(building);
+        if (!definition) {
+            return 0;
+        }
+        return CamelBuildings.getBulkCost(definition, state[definition.countKey], quantity, CamelUpgrades.getBuildingCostMultiplier(state));
+    }
+
+    /**
+     * --- Economy Engine: how many of a building the current gold can buy ---
+     * @param {EconomyState} state - State to inspect.
+     * @param {string} building - Building id from buildings.js.
+     * @returns {{quantity: number, cost: number}} - Affordable amount and its exact total.
+     */
+    function getMaxAffordableBuildings(state, building) {
+        const definition = CamelBuildings.getBuilding(building);
+        if (!definition) {
+            return { quantity: 0, cost: 0 };
+        }
+        return CamelBuildings.getMaxAffordable(definition, state[definition.countKey], state.goldAmount, CamelUpgrades.getBuildingCostMultiplier(state));
+    }
+
+    /**
+     * --- Economy Engine: buy one or more of a building, all or nothing ---
+     * @param {EconomyState} state - State to change.
+     * @param {string} building - Building id from buildings.js.
+     * @param {number} quantity - How many to buy.
+     * @param {Function} emit - Event sink.
+     * @returns {boolean} - True when the buildings were bought.
+     */
+    function purchaseBuilding(state, building, quantity, emit) {
+        if (!Number.isInteger(quantity) || quantity < 1 || !isBuildingUnlocked(state, building)) {
+            return false;
+        }
+        const cost = getBuildingCost(state, building, quantity);
+        if (!spendGold(state, cost, emit)) {
+            return false;
+        }
+        state[CamelBuildings.getBuilding(building).countKey] += quantity;
+        emit('buildingPurchased', { building, quantity, cost });
+        return true;
+    }
+
+    /**
+     * --- Economy Engine: gold the market would pay for some of a good right now ---
+     * @param {EconomyState} state - State to inspect.
+     * @param {string} goodId - Good from market.js.
+     * @param {number} quantity - Units to sell.
+     * @returns {number} - Whole gold, 0 for unknown goods.
+     */
+    function getSaleQuote(state, goodId, quantity) {
+        const good = CamelMarket.getGood(goodId);
+        return good ? CamelMarket.quoteSale(good, state.marketPrices[goodId], quantity).gold : 0;
+    }
+
+    /**
+     * --- Economy Engine: gold the market would charge for some of a good right now ---
+     * @param {EconomyState} state - State to inspect.
+     * @param {string} goodId - Good from market.js.
+     * @param {number} quantity - Units to buy.
+     * @returns {number} - Whole gold, Infinity for goods the market does not sell.
+     */
+    function getPurchaseQuote(state, goodId, quantity) {
+        const good = CamelMarket.getGood(goodId);
+        return good && good.buyable ? CamelMarket.quotePurchase(good, state.marketPrices[goodId], quantity).gold : Infinity;
+    }
+
+    /**
+     * --- Economy Engine: sell goods for gold; the price slides with the amount sold ---
+     * @param {EconomyState} state - State to change.
+     * @param {string} goodId - Good from market.js.
+     * @param {number} quantity - Units to sell.
+     * @param {Function} emit - Event sink.
+     * @returns {number} - Gold earned, 0 when nothing was sold.
+     */
+    function sellGoods(state, goodId, quantity, emit) {
+        const good = CamelMarket.getGood(goodId);
+        if (!good || !Number.isInteger(quantity) || quantity < 1 || state[good.countKey] < quantity) {
+            return 0;
+        }
+        const quote = CamelMarket.quoteSale(good, state.marketPrices[goodId], quantity);
+        if (quote.gold <= 0) {
+            return 0;
+        }
+        if (good.countKey === 'counter') {
+            spendCamels(state, quantity, emit);
+        } else {
+            state[good.countKey] -= quantity;
+        }
+        state.marketPrices[goodId] = quote.factor;
+        emit('marketTrade', { good: goodId, side: 'sell', quantity, gold: quote.gold });
+        gainGold(state, quote.gold, 'market', emit);
+        return quote.gold;
+    }
+
+    /**
+     * --- Economy Engine: buy goods with gold, all or nothing; the price climbs with the amount ---
+     * @param {EconomyState} state - State to change.
+     * @param {string} goodId - Good from market.js.
+     * @param {number} quantity - Units to buy.
+     * @param {Function} emit - Event sink.
+     * @returns {boolean} - True when the goods were bought.
+     */
+    function buyGoods(state, goodId, quantity, emit) {
+        const good = CamelMarket.getGood(goodId);
+        if (!good || !good.buyable || !Number.isInteger(quantity) || quantity < 1) {
+            return false;
+        }
+        const quote = CamelMarket.quotePurchase(good, state.marketPrices[goodId], quantity);
+        if (!spendGold(state, quote.gold, emit)) {
+            return false;
+        }
+        state[good.countKey] += quantity;
+        state.marketPrices[goodId] = quote.factor;
+        emit('marketTrade', { good: goodId, side: 'buy', quantity, gold: quote.gold });
+        return true;
+    }
+
+    /**
+     * --- Economy Engine: convert camels into a caravan travelling a route ---
+     * A caravan joining a route mid-trip rides along and loads cargo from the next trip on.
+     * @param {EconomyState} state - State to change.
+     * @param {string} routeId - Route from routes.js.
+     * @param {Function} emit - Event sink.
+     * @returns {boolean} - True when a caravan was formed.
+     */
+    function formCaravan(state, routeId, emit) {
+        if (!CamelRoutes.getRoute(routeId) || !spendCamels(state, CARAVAN_CAMEL_COST, emit)) {
+            return false;
+        }
+        state.caravanCount += 1;
+        state.caravanRoutes[routeId] = (state.caravanRoutes[routeId] || 0) + 1;
+        emit('caravanFormed', { caravanCount: state.caravanCount, route: routeId });
+        return true;
+    }
+
+    /**
+     * --- Economy Engine: take caravans off a route and out of the herd's count ---
+     * @param {EconomyState} state - State to change.
+     * @param {string} routeId - Route losing caravans.
+     * @param {number} amount - Caravans to remove.
+     */
+    function removeCaravans(state, routeId, amount) {
+        const removed = Math.min(amount, state.caravanRoutes[routeId] || 0);
+        if (removed === 0) {
+            return;
+        }
+        state.caravanCount -= removed;
+        state.caravanRoutes[routeId] -= removed;
+        if (state.caravanRoutes[routeId] === 0) {
+            delete state.caravanRoutes[routeId];
+        }
+    }
+
+    /**
+     * --- Economy Engine: spend Nomad Tokens on the next level of an upgrade ---
+     * @param {EconomyState} state - State to change.
+     * @param {string} id - Upgrade id from upgrades.js.
+     * @param {Function} emit - Event sink.
+     * @returns {boolean} - True when the level was bought.
+     */
+    function purchaseUpgrade(state, id, emit) {
+        const cost = CamelUpgrades.getUpgradeCost(state, id);
+        if (cost === null || !CamelUpgrades.isUpgradeUnlocked(state, id) || state.nomadTokens < cost) {
+            return false;
+        }
+        state.nomadTokens -= cost;
+        const level = CamelUpgrades.getUpgradeLevel(state, id) + 1;
+        state.nomadUpgrades = Object.assign({}, state.nomadUpgrades, { [id]: level });
+        emit('upgradePurchased', { upgrade: id, level, cost });
+        return true;
+    }
+
+    /**
+     * --- Economy Engine: check whether prestige is unlocked ---
+     * @param {EconomyState} state - State to inspect.
+     * @returns {boolean} - True when a Nomad Migration is allowed.
+     */
+    function canMigrate(state) {
+        return state.counter >= NOMAD_CAMEL_THRESHOLD || state.caravanCount >= NOMAD_CARAVAN_THRESHOLD;
+    }
+
+    /**
+     * --- Economy Engine: trigger prestige reset ---
+     * @param {EconomyState} state - State to change.
+     * @param {Function} emit - Event sink.
+     * @returns {number} - Tokens earned, or 0 when migration is locked.
+     */
+    function handleNomadMigration(state, emit) {
+        if (!canMigrate(state)) {
+            return 0;
+        }
+        const earnedTokens = Math.max(1, Math.floor(state.counter / NOMAD_CAMEL_THRESHOLD) + Math.floor(state.caravanCount / NOMAD_CARAVAN_THRESHOLD));
+        const kept = {
+            nomadTokens: state.nomadTokens + earnedTokens,
+            nomadUpgrades: state.nomadUpgrades,
+            breedsFound: state.breedsFound,
+            farmCount: CamelUpgrades.getStartingFarms(state),
+            rngSeed: state.rngSeed,
+            rngState: state.rngState
+        };
+
+        // --- Economy Engine: wipe loop resources but keep tokens, upgrades, the collection and the random stream ---
+        Object.assign(state, createEconomyState(), kept);
+        emit('migration', { tokens: earnedTokens });
+        return earnedTokens;
+    }
+
+    /**
+     * --- Economy Engine: bind state and listeners into one handle ---
+     * @param {Object} [data] - Saved values to start from.
+     * @returns {Object} - Economy handle with the state, subscribe and actions.
+     */
+    function createEconomy(data) {
+        const listeners = [];
+        let catchingUp = false;
+        let raidEncounters = false;
+
+        const emit = (type, detail) => {
+            const event = Object.assign({ type, catchUp: catchingUp }, detail);
+            listeners.slice().forEach(listener => listener(event));
+        };
+
+        const economy = {
+            state: createEconomyState(data),
+
+            /**
+             * @param {Function} listener - Called with every EconomyEvent.
+             * @returns {Function} - Unsubscribes the listener.
+             */
+            subscribe(listener) {
+                listeners.push(listener);
+                return () => {
+                    const index = listeners.indexOf(listener);
+                    if (index !== -1) {
+                        listeners.splice(index, 1);
+                    }
+                };
+            },
+
+            /**
+             * @param {Object} [nextData] - Saved values to switch to.
+             */
+            load(nextData) {
+                economy.state = createEconomyState(nextData);
+            },
+
+            tick: deltaSeconds => runEconomyTick(economy.state, deltaSeconds, emit, { raidEncounters }),
+            gainCamels: (amount, source) => gainCamels(economy.state, amount, source, emit),
+            spendCamels: amount => spendCamels(economy.state, amount, emit),
+            gainGold: (amount, source) => gainGold(economy.state, amount, source, emit),
+            spendGold: cost => spendGold(economy.state, cost, emit),
+            purchaseBuilding: (building, quantity = 1) => purchaseBuilding(economy.state, building, quantity, emit),
+            isBuildingUnlocked: building => isBuildingUnlocked(economy.state, building),
+            getBuildingCost: (building, quantity) => getBuildingCost(economy.state, building, quantity),
+            getMaxAffordableBuildings: building => getMaxAffordableBuildings(economy.state, building),
+            getSaleQuote: (goodId, quantity) => getSaleQuote(economy.state, goodId, quantity),
+            getPurchaseQuote: (goodId, quantity) => getPurchaseQuote(economy.state, goodId, quantity),
+            sellGoods: (goodId, quantity) => sellGoods(economy.state, goodId, quantity, emit),
+            buyGoods: (goodId, quantity) => buyGoods(economy.state, goodId, quantity, emit),
+            purchaseUpgrade: id => purchaseUpgrade(economy.state, id, emit),
+            formCaravan: (routeId = CamelRoutes.DEFAULT_ROUTE_ID) => formCaravan(economy.state, routeId, emit),
+            canMigrate: () => canMigrate(economy.state),
+            migrate: () => handleNomadMigration(economy.state, emit),
+
+            /**
+             * --- Economy Engine: let live ticks queue raids as encounters ---
+             * Caught-up time always resolves raids on the spot.
+             * @param {boolean} enabled - Queue raids in pendingRaids.
+             */
+            setRaidEncounters(enabled) {
+                raidEncounters = enabled;
+            },
+            resolvePendingRaid: defense => resolvePendingRaid(economy.state, defense, emit),
+
+            /**
+             * --- Economy Engine: fast-forward through elapsed time ---
+             * Events raised meanwhile carry catchUp: true.
+             * @param {number} elapsedSeconds - Seconds to replay.
+             * @param {Object} options - { maxSeconds, stepSeconds }.
+             * @returns {Object|null} - Tally of what happened, or null when nothing was simulated.
+             */
+            simulate(elapsedSeconds, options) {
+                const stepSeconds = options.stepSeconds || 1;
+                const simulatedSeconds = Math.min(Math.max(0, elapsedSeconds), options.maxSeconds);
+                if (simulatedSeconds < stepSeconds) {
+                    return null;
+                }
+
+                const tally = {
+                    elapsedSeconds,
+                    simulatedSeconds,
+                    grassGrown: 0,
+                    grassEaten: 0,
+                    camelsBred: 0,
+                    goldHauled: 0,
+                    raids: 0,
+                    caravansLost: 0,
+                    goldStolen: 0,
+                    camelsStarved: 0
+                };
+                const stopTallying = economy.subscribe(event => tallyEvent(tally, event));
+
+                // --- Economy Engine: step in live-sized ticks so farms see fresh grass ---
+                catchingUp = true;
+                try {
+                    let remaining = simulatedSeconds;
+                    while (remaining > 0) {
+                        const step = Math.min(stepSeconds, remaining);
+                        runEconomyTick(economy.state, step, emit);
+                        remaining -= step;
+                    }
+                } finally {
+                    catchingUp = false;
+                    stopTallying();
+                }
+                return tally;
+            }
+        };
+        return economy;
+    }
+
+    /**
+     * --- Economy Engine: fold one event into a catch-up tally ---
+     * @param {Object} tally - Tally being built by simulate().
+     * @param {EconomyEvent} event - Event to count.
+     */
+    function tallyEvent(tally, event) {
+        switch (event.type) {
+            case 'grassGrown':
+                tally.grassGrown += event.amount;
+                break;
+            case 'camelsGained':
+                if (event.source === 'farm') {
+                    tally.camelsBred += event.amount;
+                }
+                break;
+            case 'herdGrazed':
+                tally.grassEaten += event.amount;
+                break;
+            case 'camelsStarved':
+                tally.camelsStarved += event.amount;
+                break;
+            case 'goldGained':
+                if (event.source === 'caravan') {
+                    tally.goldHauled += event.amount;
+                }
+                break;
+            case 'caravanArrived':
+                tally.caravansLost += event.lost;
+                break;
+            case 'banditRaid':
+                tally.raids += 1;
+                tally.caravansLost += event.caravanLost ? 1 : 0;
+                tally.goldStolen += event.goldStolen;
+                break;
+        }
+    }
+
+    const CamelEconomy = {
+        CARAVAN_CAMEL_COST,
+        NOMAD_CAMEL_THRESHOLD,
+        NOMAD_CARAVAN_THRESHOLD,
+        MAX_HERD_HEALTH,
+        WEAK_HERD_HEALTH,
+        createEconomy,
+        createEconomyState,
+        random,
+        runEconomyTick,
+        applyGrasslandGrowth,
+        processFarmProduction,
+        processGrassConsumption,
+        getHerdHealthFactor,
+        updateHerdHealth,
+        getGuardLossFactor,
+        processCaravanRoutes,
+        processBanditRaid,
+        processMarketDrift,
+        processWeather,
+        resolveBanditRaid,
+        resolvePendingRaid,
+        handleNomadMigration,
+        canMigrate,
+        gainCamels,
+        spendCamels,
+        gainGold,
+        spendGold,
+        isBuildingUnlocked,
+        getBuildingCost,
+        getMaxAffordableBuildings,
+        purchaseBuilding,
+        getSaleQuote,
+        getPurchaseQuote,
+        sellGoods,
+        buyGoods,
+        purchaseUpgrade,
+        formCaravan
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CamelEconomy;
+    } else {
+        root.CamelEconomy = CamelEconomy;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
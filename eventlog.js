@@ -0,0 +1,140 @@
+/**
+ * Camel Drop Game - Event Log
+ * Capped, categorized history of what happened in the game. Routine lines
+ * that repeat are folded into one entry with a repeat count, and when the cap
+ * is reached routine entries are dropped before important ones, so raids and
+ * milestones outlive the "Grasslands grew" chatter. DOM-free; also loads in Node.
+ */
+(function (root) {
+    /**
+     * @typedef {Object} LogEntry
+     * @property {number} time - Epoch milliseconds of the latest occurrence.
+     * @property {string} category - One of LOG_CATEGORIES' ids.
+     * @property {string} message - Text shown in the log.
+     * @property {string} key - Entries with the same key fold together while routine.
+     * @property {boolean} important - Highlighted and kept longer.
+     * @property {number} repeat - How many times the entry has occurred.
+     */
+
+    /** --- Event Log: categories in filter order --- */
+    const LOG_CATEGORIES = [
+        { id: 'economy', icon: '🌿', label: 'Economy' },
+        { id: 'raids', icon: '💀', label: 'Raids' },
+        { id: 'purchases', icon: '🛒', label: 'Purchases' },
+        { id: 'weather', icon: '⛅', label: 'Weather' },
+        { id: 'milestones', icon: '🏆', label: 'Milestones' }
+    ];
+
+    const MAX_LOG_ENTRIES = 150;
+    const MERGE_DEPTH = 8; // Routine repeats fold into a matching entry among this many newest ones
+    const MAX_MESSAGE_LENGTH = 200;
+
+    /**
+     * --- Event Log: whether a category id is known ---
+     * @param {string} category - Category id.
+     * @returns {boolean} - True for LOG_CATEGORIES ids.
+     */
+    function isLogCategory(category) {
+        return LOG_CATEGORIES.some(entry => entry.id === category);
+    }
+
+    /**
+     * --- Event Log: build a log, keeping well-formed saved entries ---
+     * @param {Array} [entries] - Saved entries, newest first.
+     * @returns {{entries: LogEntry[]}} - Log state.
+     */
+    function createEventLog(entries) {
+        const log = { entries: [] };
+        (Array.isArray(entries) ? entries : []).forEach(entry => {
+            if (!entry || !Number.isFinite(entry.time) || !isLogCategory(entry.category) || typeof entry.message !== 'string') {
+                return;
+            }
+            log.entries.push({
+                time: entry.time,
+                category: entry.category,
+                message: entry.message.slice(0, MAX_MESSAGE_LENGTH),
+                key: typeof entry.key === 'string' ? entry.key : entry.message,
+                important: entry.important === true,
+                repeat: Number.isInteger(entry.repeat) && entry.repeat > 0 ? entry.repeat : 1
+            });
+        });
+        trimLog(log);
+        return log;
+    }
+
+    /**
+     * --- Event Log: drop the oldest routine entries, then the oldest of any, past the cap ---
+     * @param {{entries: LogEntry[]}} log - Log state.
+     */
+    function trimLog(log) {
+        while (log.entries.length > MAX_LOG_ENTRIES) {
+            let index = log.entries.length - 1;
+            while (index >= 0 && log.entries[index].important) {
+                index--;
+            }
+            log.entries.splice(index >= 0 ? index : log.entries.length - 1, 1);
+        }
+    }
+
+    /**
+     * --- Event Log: add a line, folding routine repeats into their earlier entry ---
+     * @param {{entries: LogEntry[]}} log - Log state.
+     * @param {{category: string, message: string, key: string, important: boolean}} line - What happened.
+     * @param {number} now - Epoch milliseconds.
+     * @returns {LogEntry} - The new or updated entry, now the newest.
+     */
+    function addLogEntry(log, line, now) {
+        const key = line.key || line.message;
+        const important = line.important === true;
+        if (!important) {
+            const depth = Math.min(MERGE_DEPTH, log.entries.length);
+            for (let i = 0; i < depth; i++) {
+                const entry = log.entries[i];
+                if (!entry.important && entry.key === key && entry.category === line.category) {
+                    log.entries.splice(i, 1);
+                    entry.message = line.message.slice(0, MAX_MESSAGE_LENGTH);
+                    entry.time = now;
+                    entry.repeat += 1;
+                    log.entries.unshift(entry);
+                    return entry;
+                }
+            }
+        }
+
+        const entry = {
+            time: now,
+            category: isLogCategory(line.category) ? line.category : 'economy',
+            message: line.message.slice(0, MAX_MESSAGE_LENGTH),
+            key,
+            important,
+            repeat: 1
+        };
+        log.entries.unshift(entry);
+        trimLog(log);
+        return entry;
+    }
+
+    /**
+     * --- Event Log: entries shown under a filter ---
+     * @param {{entries: LogEntry[]}} log - Log state.
+     * @param {string} filter - Category id, or 'all'.
+     * @returns {LogEntry[]} - Matching entries, newest first.
+     */
+    function filterLog(log, filter) {
+        return filter === 'all' ? log.entries : log.entries.filter(entry => entry.category === filter);
+    }
+
+    const CamelEventLog = {
+        LOG_CATEGORIES,
+        MAX_LOG_ENTRIES,
+        createEventLog,
+        addLogEntry,
+        filterLog
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CamelEventLog;
+    } else {
+        root.CamelEventLog = CamelEventLog;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
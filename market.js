@@ -0,0 +1,139 @@
+/**
+ * Camel Drop Game - Trade Market
+ * Goods the player can trade for gold and the price math behind them. Every
+ * good has a base price scaled by a saved price factor: the factor drifts back
+ * towards 1 over time, falls as the player sells and rises as the player buys,
+ * so dumping a whole herd at once pays less than selling it bit by bit.
+ * DOM-free; also loads in Node.
+ */
+(function (root) {
+    /**
+     * @typedef {Object} MarketGood
+     * @property {string} id - Key in EconomyState.marketPrices.
+     * @property {string} icon - Emoji shown in the market panel.
+     * @property {string} name - Display name.
+     * @property {string} countKey - EconomyState field holding how many the player owns.
+     * @property {number} basePrice - Gold paid for one unit at a price factor of 1.
+     * @property {number} depth - Units traded to move the price factor by a factor of e.
+     * @property {boolean} buyable - Whether the market also sells this good.
+     * @property {number[]} lots - Trade sizes offered in the market panel.
+     */
+
+    /** @type {MarketGood[]} */
+    const GOODS = [
+        { id: 'camel', icon: '🐪', name: 'Camels', countKey: 'counter', basePrice: 0.25, depth: 2000, buyable: false, lots: [10, 100, 1000] },
+        { id: 'grass', icon: '🌿', name: 'Grass', countKey: 'grassAmount', basePrice: 0.05, depth: 20000, buyable: true, lots: [100, 1000, 10000] }
+    ];
+
+    /** --- Trade Market: tuning --- */
+    const BUY_MARKUP = 1.25; // The market sells for this much more than it pays
+    const MIN_PRICE_FACTOR = 0.25;
+    const MAX_PRICE_FACTOR = 4;
+    const DRIFT_CYCLE_SECONDS = 10;
+    const DRIFT_REVERSION = 0.05; // Share of the gap to the base price closed each cycle
+    const DRIFT_NOISE = 0.1; // Largest random move of the price factor each cycle
+
+    /**
+     * --- Trade Market: look up a good by id ---
+     * @param {string} id - Good id.
+     * @returns {MarketGood|undefined} - The good, if it exists.
+     */
+    function getGood(id) {
+        return GOODS.find(good => good.id === id);
+    }
+
+    /**
+     * --- Trade Market: keep saved price factors for known goods, inside the allowed range ---
+     * @param {Object} [prices] - Saved good id -> price factor map.
+     * @returns {Object} - Price factor for every good.
+     */
+    function normalizePrices(prices) {
+        const clean = {};
+        GOODS.forEach(good => {
+            const factor = prices && prices[good.id];
+            clean[good.id] = Number.isFinite(factor) ? clampFactor(factor) : 1;
+        });
+        return clean;
+    }
+
+    /**
+     * --- Trade Market: keep a price factor inside its range ---
+     * @param {number} factor - Price factor.
+     * @returns {number} - Clamped factor.
+     */
+    function clampFactor(factor) {
+        return Math.min(Math.max(factor, MIN_PRICE_FACTOR), MAX_PRICE_FACTOR);
+    }
+
+    /**
+     * --- Trade Market: price of the next unit ---
+     * @param {MarketGood} good - Good to price.
+     * @param {number} factor - Current price factor.
+     * @param {string} side - 'sell' for what the market pays, 'buy' for what it charges.
+     * @returns {number} - Gold per unit.
+     */
+    function getUnitPrice(good, factor, side) {
+        return good.basePrice * factor * (side === 'buy' ? BUY_MARKUP : 1);
+    }
+
+    /**
+     * --- Trade Market: gold paid for selling several units, price sliding as they sell ---
+     * @param {MarketGood} good - Good being sold.
+     * @param {number} factor - Price factor before the sale.
+     * @param {number} quantity - Units sold.
+     * @returns {{gold: number, factor: number}} - Whole gold paid and the price factor afterwards.
+     */
+    function quoteSale(good, factor, quantity) {
+        const after = clampFactor(factor * Math.exp(-quantity / good.depth));
+        // --- Trade Market: past the floor every further unit sells at the floor price ---
+        const flooredUnits = Math.max(0, quantity - good.depth * Math.log(factor / after));
+        const gold = Math.floor(good.basePrice * (good.depth * (factor - after) + flooredUnits * after));
+        return { gold, factor: after };
+    }
+
+    /**
+     * --- Trade Market: gold charged for buying several units, price climbing as they are bought ---
+     * @param {MarketGood} good - Good being bought.
+     * @param {number} factor - Price factor before the purchase.
+     * @param {number} quantity - Units bought.
+     * @returns {{gold: number, factor: number}} - Whole gold charged and the price factor afterwards.
+     */
+    function quotePurchase(good, factor, quantity) {
+        const unclamped = factor * Math.exp(quantity / good.depth);
+        const after = clampFactor(unclamped);
+        // --- Trade Market: past the ceiling every further unit costs the ceiling price ---
+        const cappedUnits = Math.max(0, quantity - good.depth * Math.log(after / factor));
+        const gold = Math.ceil(BUY_MARKUP * good.basePrice * (good.depth * (after - factor) + cappedUnits * after));
+        return { gold, factor: after };
+    }
+
+    /**
+     * --- Trade Market: one drift step, pulled back towards the base price ---
+     * @param {number} factor - Current price factor.
+     * @param {number} roll - Random float in [0, 1).
+     * @returns {number} - New price factor.
+     */
+    function driftFactor(factor, roll) {
+        return clampFactor(factor + (1 - factor) * DRIFT_REVERSION + (roll - 0.5) * 2 * DRIFT_NOISE);
+    }
+
+    const CamelMarket = {
+        GOODS,
+        BUY_MARKUP,
+        DRIFT_CYCLE_SECONDS,
+        MIN_PRICE_FACTOR,
+        MAX_PRICE_FACTOR,
+        getGood,
+        normalizePrices,
+        getUnitPrice,
+        quoteSale,
+        quotePurchase,
+        driftFactor
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CamelMarket;
+    } else {
+        root.CamelMarket = CamelMarket;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
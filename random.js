@@ -0,0 +1,91 @@
+/**
+ * Camel Drop Game - Seedable Random Numbers
+ * Mulberry32 generator whose whole state is one 32-bit integer, so it can be
+ * saved next to the rest of the game and replayed exactly. Shared by the
+ * economy engine and the browser UI; also loads in Node.
+ */
+(function (root) {
+    /**
+     * --- Seedable Random: pick a fresh seed for a brand new game ---
+     * @returns {number} - Unsigned 32-bit seed.
+     */
+    function createSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * --- Seedable Random: advance a generator state by one draw ---
+     * @param {number} state - Current unsigned 32-bit state.
+     * @returns {{value: number, state: number}} - Draw in [0, 1) and the next state.
+     */
+    function step(state) {
+        const nextState = (state + 0x6D2B79F5) >>> 0;
+        let t = nextState;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return {
+            value: ((t ^ (t >>> 14)) >>> 0) / 0x100000000,
+            state: nextState
+        };
+    }
+
+    /**
+     * --- Seedable Random: stateful generator for callers that keep one around ---
+     * @param {number} seed - Seed the stream started from.
+     * @param {number} [state] - Saved state to resume from; defaults to the seed.
+     * @returns {Object} - Generator with next(), range(), int() and snapshot().
+     */
+    function createRandom(seed, state) {
+        const random = {
+            seed: seed >>> 0,
+            state: Number.isFinite(state) ? state >>> 0 : seed >>> 0,
+
+            /**
+             * @returns {number} - Float in [0, 1), like Math.random().
+             */
+            next() {
+                const result = step(random.state);
+                random.state = result.state;
+                return result.value;
+            },
+
+            /**
+             * @param {number} min - Inclusive lower bound.
+             * @param {number} max - Exclusive upper bound.
+             * @returns {number} - Float in [min, max).
+             */
+            range(min, max) {
+                return min + random.next() * (max - min);
+            },
+
+            /**
+             * @param {number} min - Inclusive lower bound.
+             * @param {number} max - Inclusive upper bound.
+             * @returns {number} - Integer in [min, max].
+             */
+            int(min, max) {
+                return min + Math.floor(random.next() * (max - min + 1));
+            },
+
+            /**
+             * @returns {{seed: number, state: number}} - Values to persist.
+             */
+            snapshot() {
+                return { seed: random.seed, state: random.state };
+            }
+        };
+        return random;
+    }
+
+    const CamelRandom = {
+        createSeed,
+        createRandom,
+        step
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CamelRandom;
+    } else {
+        root.CamelRandom = CamelRandom;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
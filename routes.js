@@ -0,0 +1,103 @@
+/**
+ * Camel Drop Game - Caravan Routes
+ * Destinations caravans can be sent to, described as data: how long a round
+ * trip takes, what each caravan brings back, the grass it must carry as
+ * provisions and the chance bandits ambush it on the way. The economy engine
+ * runs trips from here and the UI lists the same routes. DOM-free; also loads
+ * in Node.
+ */
+(function (root) {
+    /**
+     * @typedef {Object} CaravanRoute
+     * @property {string} id - Key in EconomyState.caravanRoutes and routeTimers.
+     * @property {string} icon - Emoji shown on progress bars and in the route panel.
+     * @property {string} name - Display name.
+     * @property {number} travelSeconds - Length of one round trip.
+     * @property {number} minGold - Least gold one caravan brings back.
+     * @property {number} maxGold - Most gold one caravan brings back.
+     * @property {number} cargo - Grass each caravan loads before setting out.
+     * @property {number} risk - Chance per trip that bandits take a caravan, before guards.
+     */
+
+    /** @type {CaravanRoute[]} */
+    const ROUTES = [
+        { id: 'oasis', icon: '🌴', name: 'Nearby Oasis', travelSeconds: 60, minGold: 14, maxGold: 21, cargo: 0, risk: 0 },
+        { id: 'saltMines', icon: '🧂', name: 'Salt Mines', travelSeconds: 180, minGold: 60, maxGold: 80, cargo: 20, risk: 0.05 },
+        { id: 'spiceCity', icon: '🕌', name: 'Spice City', travelSeconds: 300, minGold: 140, maxGold: 190, cargo: 50, risk: 0.1 },
+        { id: 'silkRoad', icon: '🏯', name: 'Silk Road', travelSeconds: 600, minGold: 400, maxGold: 520, cargo: 150, risk: 0.2 }
+    ];
+
+    /** --- Caravan Routes: where caravans from old saves and unnamed orders go --- */
+    const DEFAULT_ROUTE_ID = 'oasis';
+
+    /**
+     * --- Caravan Routes: look up a route by id ---
+     * @param {string} id - Route id.
+     * @returns {CaravanRoute|undefined} - The route, if it exists.
+     */
+    function getRoute(id) {
+        return ROUTES.find(route => route.id === id);
+    }
+
+    /**
+     * --- Caravan Routes: keep saved per-route numbers for known routes only ---
+     * @param {Object} [values] - Saved route id -> number map.
+     * @returns {Object} - Clean map holding finite, non-negative numbers.
+     */
+    function normalizeRouteValues(values) {
+        const clean = {};
+        ROUTES.forEach(route => {
+            const value = values && values[route.id];
+            if (Number.isFinite(value) && value > 0) {
+                clean[route.id] = value;
+            }
+        });
+        return clean;
+    }
+
+    /**
+     * --- Caravan Routes: make the per-route caravan counts add up to the caravans owned ---
+     * Extra assignments are dropped from the longest routes first; caravans
+     * without a route (older saves) travel the default route.
+     * @param {Object} [counts] - Saved route id -> caravans map.
+     * @param {number} caravanCount - Caravans owned.
+     * @returns {Object} - Clean route id -> whole caravans map.
+     */
+    function normalizeRouteCounts(counts, caravanCount) {
+        const clean = normalizeRouteValues(counts);
+        let assigned = 0;
+        Object.keys(clean).forEach(id => {
+            clean[id] = Math.floor(clean[id]);
+            assigned += clean[id];
+        });
+        for (let i = ROUTES.length - 1; i >= 0 && assigned > caravanCount; i--) {
+            const id = ROUTES[i].id;
+            const removed = Math.min(clean[id] || 0, assigned - caravanCount);
+            clean[id] = (clean[id] || 0) - removed;
+            assigned -= removed;
+        }
+        if (assigned < caravanCount) {
+            clean[DEFAULT_ROUTE_ID] = (clean[DEFAULT_ROUTE_ID] || 0) + caravanCount - assigned;
+        }
+        Object.keys(clean).forEach(id => {
+            if (clean[id] === 0) {
+                delete clean[id];
+            }
+        });
+        return clean;
+    }
+
+    const CamelRoutes = {
+        ROUTES,
+        DEFAULT_ROUTE_ID,
+        getRoute,
+        normalizeRouteValues,
+        normalizeRouteCounts
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CamelRoutes;
+    } else {
+        root.CamelRoutes = CamelRoutes;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,451 @@
+/**
+ * Camel Drop Game - Save Format
+ * Versioned save payloads, the migrations that upgrade older ones, and the
+ * copy-pasteable save codes used to move progress between browsers.
+ * DOM-free; also loads in Node.
+ */
+(function (root) {
+    const CamelEventLog = typeof module !== 'undefined' && module.exports ? require('./eventlog.js') : root.CamelEventLog;
+
+    /** --- Save Format: current schema version --- */
+    const SAVE_VERSION = 3;
+
+    /** --- Save Format: save code layout --- */
+    const SAVE_CODE_PREFIX = 'CAMEL';
+    const SAVE_CODE_SEPARATOR = '.';
+    const COMPRESSION_DEFLATE = 'z';
+    const COMPRESSION_NONE = 'p';
+
+    /** --- Save Validation: limits for every saved number --- */
+    const MAX_HERD = 1e12;
+    const MAX_STOCKPILE = 1e15;
+    const MAX_BUILDINGS = 1e5;
+    const MAX_TIMER_SECONDS = 24 * 60 * 60;
+    const MAX_UINT32 = 0xFFFFFFFF;
+    const MAX_UPGRADE_LEVEL = 100;
+    const MAX_TIMESTAMP = 8.64e15; // Latest date a JavaScript Date can hold
+    const MAX_PRICE_FACTOR = 4; // Matches market.js; the economy clamps the low end itself
+    const MAX_LOG_TEXT = 200;
+
+    /**
+     * --- Save Validation: schema of the economy block ---
+     * Out-of-range numbers are clamped; anything that is not a number means
+     * the save is corrupted and the caller should try a backup instead.
+     * Rules with `record: true` describe an object whose every value follows the rule.
+     */
+    const ECONOMY_SCHEMA = {
+        counter: { integer: true, min: 0, max: MAX_HERD },
+        goldAmount: { integer: true, min: 0, max: MAX_STOCKPILE },
+        caravanCount: { integer: true, min: 0, max: MAX_BUILDINGS },
+        farmCount: { integer: true, min: 0, max: MAX_BUILDINGS },
+        grassAmount: { integer: true, min: 0, max: MAX_STOCKPILE },
+        grasslandCount: { integer: true, min: 0, max: MAX_BUILDINGS },
+        guardCampCount: { integer: true, min: 0, max: MAX_BUILDINGS },
+        nomadTokens: { integer: true, min: 0, max: MAX_BUILDINGS },
+        herdHealth: { min: 0, max: 100 },
+        farmProductionTimer: { min: 0, max: MAX_TIMER_SECONDS },
+        grassConsumptionTimer: { min: 0, max: MAX_TIMER_SECONDS },
+        banditTimer: { min: 0, max: MAX_TIMER_SECONDS },
+        pendingRaids: { integer: true, min: 0, max: MAX_BUILDINGS },
+        marketTimer: { min: 0, max: MAX_TIMER_SECONDS },
+        weatherTimer: { min: 0, max: MAX_TIMER_SECONDS },
+        grassGrowthRemainder: { min: 0, max: 0.999999 },
+        rngSeed: { integer: true, min: 0, max: MAX_UINT32 },
+        rngState: { integer: true, min: 0, max: MAX_UINT32 },
+        nomadUpgrades: { record: true, integer: true, min: 0, max: MAX_UPGRADE_LEVEL },
+        caravanRoutes: { record: true, integer: true, min: 0, max: MAX_BUILDINGS },
+        routeTimers: { record: true, min: 0, max: MAX_TIMER_SECONDS },
+        routeCargo: { record: true, min: 0, max: MAX_STOCKPILE },
+        marketPrices: { record: true, min: 0, max: MAX_PRICE_FACTOR },
+        weather: { record: true, min: 0, max: MAX_TIMER_SECONDS },
+        herdBreeds: { record: true, integer: true, min: 0, max: MAX_HERD },
+        breedsFound: { record: true, integer: true, min: 0, max: MAX_STOCKPILE }
+    };
+
+    /** --- Save Validation: schema of the achievements block --- */
+    const ACHIEVEMENTS_SCHEMA = {
+        unlocked: { record: true, integer: true, min: 0, max: MAX_TIMESTAMP },
+        counts: { record: true, min: 0, max: MAX_STOCKPILE }
+    };
+
+    /** --- Save Validation: schema of the statistics block --- */
+    const STATS_SCHEMA = {
+        lifetime: { record: true, min: 0, max: MAX_STOCKPILE },
+        run: { record: true, min: 0, max: MAX_STOCKPILE }
+    };
+
+    /** --- Save Validation: optional payload blocks beside the economy, by payload key --- */
+    const BLOCK_SCHEMAS = {
+        achievements: ACHIEVEMENTS_SCHEMA,
+        stats: STATS_SCHEMA
+    };
+
+    /**
+     * @typedef {Object} SavePayload
+     * @property {number} version - Schema version, see SAVE_VERSION.
+     * @property {number} lastSavedAt - Epoch milliseconds of the save.
+     * @property {Object} economy - EconomyState from economy.js.
+     * @property {number} [visualRngState] - Position of the UI's visual random stream.
+     * @property {{unlocked: Object, counts: Object}} [achievements] - See achievements.js.
+     * @property {{lifetime: Object, run: Object}} [stats] - See stats.js.
+     * @property {Object[]} [eventLog] - Event log entries, newest first; see eventlog.js.
+     */
+
+    /**
+     * --- Save Format: upgrade steps, keyed by the version they upgrade from ---
+     * Each step receives a payload of that version and returns one of the next.
+     * Never edit a shipped step; add a new one and bump SAVE_VERSION instead.
+     */
+    const MIGRATIONS = {
+        /**
+         * v1 was the flat, unversioned object written under 'camelIncrementalStateV1'.
+         * v2 nests the economy state so UI-only fields live beside it.
+         */
+        1: data => {
+            const economy = Object.assign({}, data);
+            delete economy.lastSavedAt;
+            delete economy.visualRngState;
+            return {
+                version: 2,
+                lastSavedAt: data.lastSavedAt,
+                economy,
+                visualRngState: data.visualRngState
+            };
+        },
+
+        /**
+         * v3 sends caravans along named routes. Every v2 caravan travelled the
+         * one route that now is the oasis, so it keeps its trip progress there.
+         */
+        2: data => {
+            const economy = Object.assign({}, data.economy);
+            economy.caravanRoutes = economy.caravanCount > 0 ? { oasis: economy.caravanCount } : {};
+            economy.routeTimers = economy.caravanGoldTimer > 0 ? { oasis: economy.caravanGoldTimer } : {};
+            delete economy.caravanGoldTimer;
+            return Object.assign({}, data, { version: 3, economy });
+        }
+    };
+
+    /**
+     * --- Save Format: run every migration between a payload's version and now ---
+     * @param {Object} data - Parsed save of any known version.
+     * @returns {SavePayload} - Payload at SAVE_VERSION.
+     */
+    function migrateSave(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Save data is not an object');
+        }
+        let payload = data;
+        let version = Number.isInteger(data.version) ? data.version : 1;
+        if (version > SAVE_VERSION) {
+            throw new Error(`Save version ${version} is newer than this game (${SAVE_VERSION})`);
+        }
+        while (version < SAVE_VERSION) {
+            const migrate = MIGRATIONS[version];
+            if (!migrate) {
+                throw new Error(`No migration from save version ${version}`);
+            }
+            payload = migrate(payload);
+            version = payload.version;
+        }
+        return payload;
+    }
+
+    /**
+     * --- Save Validation: clamp one value to its schema rule ---
+     * @param {string} field - Field name, used in error messages.
+     * @param {*} value - Saved value.
+     * @param {{integer: boolean, min: number, max: number}} rule - Schema rule.
+     * @returns {number} - Value inside the allowed range.
+     */
+    function clampField(field, value, rule) {
+        if (typeof value !== 'number' || Number.isNaN(value)) {
+            throw new Error(`Save field "${field}" is not a number`);
+        }
+        let clamped = Math.min(Math.max(value, rule.min), rule.max);
+        if (rule.integer) {
+            clamped = Math.floor(clamped);
+        }
+        return clamped;
+    }
+
+    /**
+     * --- Save Validation: check a migrated payload and clamp every field ---
+     * @param {SavePayload} payload - Payload at SAVE_VERSION.
+     * @param {number} [now] - Current epoch milliseconds; saves from the future are pulled back to it.
+     * @returns {{payload: SavePayload, issues: string[]}} - Clean payload plus a note per corrected field.
+     */
+    function validateSave(payload, now) {
+        if (!payload || payload.version !== SAVE_VERSION) {
+            throw new Error('Save has not been migrated to the current version');
+        }
+        if (!payload.economy || typeof payload.economy !== 'object') {
+            throw new Error('Save has no economy data');
+        }
+
+        const issues = [];
+        const check = (field, value, rule) => {
+            const clamped = clampField(field, value, rule);
+            if (clamped !== value) {
+                issues.push(`${field}: ${value} → ${clamped}`);
+            }
+            return clamped;
+        };
+
+        const checkRecord = (field, value, rule) => {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                throw new Error(`Save field "${field}" is not an object`);
+            }
+            const record = {};
+            Object.keys(value).forEach(key => {
+                record[key] = check(`${field}.${key}`, value[key], rule);
+            });
+            return record;
+        };
+
+        const checkBlock = (prefix, block, schema) => {
+            const clean = {};
+            Object.keys(schema).forEach(field => {
+                const rule = schema[field];
+                if (block[field] !== undefined) {
+                    clean[field] = rule.record
+                        ? checkRecord(prefix + field, block[field], rule)
+                        : check(prefix + field, block[field], rule);
+                }
+            });
+            Object.keys(block).forEach(field => {
+                if (!schema[field]) {
+                    issues.push(`${prefix}${field}: unknown field dropped`);
+                }
+            });
+            return clean;
+        };
+
+        const clean = {
+            version: SAVE_VERSION,
+            lastSavedAt: 0,
+            economy: checkBlock('', payload.economy, ECONOMY_SCHEMA)
+        };
+        if (payload.lastSavedAt !== undefined) {
+            const latest = Number.isFinite(now) ? now : Date.now();
+            clean.lastSavedAt = check('lastSavedAt', payload.lastSavedAt, { integer: true, min: 0, max: latest });
+        }
+        if (payload.visualRngState !== undefined) {
+            clean.visualRngState = check('visualRngState', payload.visualRngState, ECONOMY_SCHEMA.rngState);
+        }
+        Object.keys(BLOCK_SCHEMAS).forEach(block => {
+            if (payload[block] === undefined) {
+                return;
+            }
+            if (!payload[block] || typeof payload[block] !== 'object' || Array.isArray(payload[block])) {
+                throw new Error(`Save has malformed ${block} data`);
+            }
+            clean[block] = checkBlock(`${block}.`, payload[block], BLOCK_SCHEMAS[block]);
+        });
+        if (payload.eventLog !== undefined) {
+            clean.eventLog = checkEventLog(payload.eventLog, issues);
+        }
+        return { payload: clean, issues };
+    }
+
+    /**
+     * --- Save Validation: keep well-formed event log entries, up to the cap ---
+     * The log is history, not progress, so bad entries are dropped instead of
+     * failing the whole save.
+     * @param {*} entries - Saved event log.
+     * @param {string[]} issues - Collects a note per dropped entry.
+     * @returns {Object[]} - Clean entries, newest first.
+     */
+    function checkEventLog(entries, issues) {
+        if (!Array.isArray(entries)) {
+            throw new Error('Save has malformed eventLog data');
+        }
+        const clean = [];
+        entries.forEach((entry, index) => {
+            if (clean.length >= CamelEventLog.MAX_LOG_ENTRIES) {
+                issues.push(`eventLog.${index}: over the ${CamelEventLog.MAX_LOG_ENTRIES} entry cap, dropped`);
+                return;
+            }
+            const valid = entry && typeof entry === 'object'
+                && Number.isFinite(entry.time) && entry.time >= 0 && entry.time <= MAX_TIMESTAMP
+                && typeof entry.category === 'string' && typeof entry.message === 'string';
+            if (!valid) {
+                issues.push(`eventLog.${index}: malformed entry dropped`);
+                return;
+            }
+            clean.push({
+                time: entry.time,
+                category: entry.category.slice(0, MAX_LOG_TEXT),
+                message: entry.message.slice(0, MAX_LOG_TEXT),
+                key: typeof entry.key === 'string' ? entry.key.slice(0, MAX_LOG_TEXT) : entry.message.slice(0, MAX_LOG_TEXT),
+                important: entry.important === true,
+                repeat: Number.isInteger(entry.repeat) ? Math.min(Math.max(entry.repeat, 1), MAX_STOCKPILE) : 1
+            });
+        });
+        return clean;
+    }
+
+    /**
+     * --- Save Validation: parse, migrate and validate raw stored text ---
+     * @param {string} raw - JSON text from storage.
+     * @param {number} [now] - Current epoch milliseconds.
+     * @returns {{payload: SavePayload, issues: string[]}} - See validateSave.
+     */
+    function readSave(raw, now) {
+        return validateSave(migrateSave(JSON.parse(raw)), now);
+    }
+
+    /**
+     * --- Save Format: headline numbers for previews and slot lists ---
+     * @param {SavePayload} payload - Save to describe.
+     * @returns {{camels: number, gold: number, caravans: number, nomadTokens: number, lastSavedAt: number}} - Summary.
+     */
+    function describeSave(payload) {
+        const economy = payload.economy || {};
+        return {
+            camels: economy.counter || 0,
+            gold: economy.goldAmount || 0,
+            caravans: economy.caravanCount || 0,
+            nomadTokens: economy.nomadTokens || 0,
+            lastSavedAt: payload.lastSavedAt || 0
+        };
+    }
+
+    /** --- Save Format: CRC-32 lookup table --- */
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    /**
+     * --- Save Format: CRC-32 checksum ---
+     * @param {Uint8Array} bytes - Data to checksum.
+     * @returns {string} - Eight lowercase hex digits.
+     */
+    function checksum(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * --- Save Format: bytes to URL-safe base64 ---
+     * @param {Uint8Array} bytes - Data to encode.
+     * @returns {string} - Base64url text without padding.
+     */
+    function toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * --- Save Format: URL-safe base64 to bytes ---
+     * @param {string} text - Base64url text.
+     * @returns {Uint8Array} - Decoded bytes.
+     */
+    function fromBase64Url(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * --- Save Format: push bytes through a (de)compression stream ---
+     * @param {Uint8Array} bytes - Input bytes.
+     * @param {Function} StreamType - CompressionStream or DecompressionStream.
+     * @returns {Promise<Uint8Array>} - Output bytes.
+     */
+    async function pipeBytes(bytes, StreamType) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new StreamType('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * --- Save Format: turn a payload into a copy-pasteable code ---
+     * Layout: CAMEL.<version>.<compression>.<base64url data>.<crc32 of data>
+     * @param {SavePayload} payload - Save to export.
+     * @returns {Promise<string>} - The save code.
+     */
+    async function encodeSaveCode(payload) {
+        const json = new TextEncoder().encode(JSON.stringify(payload));
+        const canCompress = typeof CompressionStream !== 'undefined';
+        const bytes = canCompress ? await pipeBytes(json, CompressionStream) : json;
+        return [
+            SAVE_CODE_PREFIX,
+            payload.version,
+            canCompress ? COMPRESSION_DEFLATE : COMPRESSION_NONE,
+            toBase64Url(bytes),
+            checksum(bytes)
+        ].join(SAVE_CODE_SEPARATOR);
+    }
+
+    /**
+     * --- Save Format: validate and unpack a save code ---
+     * @param {string} code - Text pasted by the player.
+     * @returns {Promise<{payload: SavePayload, issues: string[]}>} - See validateSave.
+     */
+    async function decodeSaveCode(code) {
+        const parts = String(code).replace(/\s+/g, '').split(SAVE_CODE_SEPARATOR);
+        if (parts.length !== 5 || parts[0] !== SAVE_CODE_PREFIX) {
+            throw new Error('That does not look like a camel save code.');
+        }
+        const [, , compression, data, expectedChecksum] = parts;
+
+        let bytes;
+        try {
+            bytes = fromBase64Url(data);
+        } catch (error) {
+            throw new Error('The save code contains invalid characters.');
+        }
+        if (checksum(bytes) !== expectedChecksum.toLowerCase()) {
+            throw new Error('The save code is damaged (checksum mismatch). Copy it again in full.');
+        }
+
+        let json;
+        if (compression === COMPRESSION_DEFLATE) {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('This browser cannot read compressed save codes.');
+            }
+            json = await pipeBytes(bytes, DecompressionStream);
+        } else if (compression === COMPRESSION_NONE) {
+            json = bytes;
+        } else {
+            throw new Error(`Unknown save code compression "${compression}".`);
+        }
+        return readSave(new TextDecoder().decode(json));
+    }
+
+    const CamelSave = {
+        SAVE_VERSION,
+        MIGRATIONS,
+        ECONOMY_SCHEMA,
+        migrateSave,
+        validateSave,
+        readSave,
+        describeSave,
+        checksum,
+        encodeSaveCode,
+        decodeSaveCode
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CamelSave;
+    } else {
+        root.CamelSave = CamelSave;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -6,53 +6,216 @@
 // Global variables
 let canvas, ctx;
 let camels = [];
-let counter = 0;
-let goldAmount = 0;
 let camelImage;
-let gravity = 0.5;
+let gravity = 0.5; // Pixels per physics step squared
 let groundY;
-let isGameStarted = false;
-let backgroundMusic, camelSound;
-let groundColliderEnabled = true;
-let shovelActive = false;
-
-/** --- Incremental Loop System: persistent storage key --- */
-const STORAGE_KEY = 'camelIncrementalStateV1';
-
-/** --- Incremental Loop System: resource tracking --- */
-let caravanCount = 0;
-let farmCount = 0;
-let grassAmount = 0;
-let grasslandCount = 0;
-let guardCampCount = 0;
-let nomadTokens = 0;
+let shovelActive = false; // Shovel mode: pointer presses dig instead of grabbing camels
+
+/** --- Fixed Timestep: physics always advances in 60 Hz steps, whatever the display does --- */
+const PHYSICS_STEP_MS = 1000 / 60;
+const MAX_FRAME_DELTA_MS = 250; // Clamp long stalls so physics never spirals trying to catch up
+let physicsAccumulator = 0;
+let lastFrameTime = null;
+
+/**
+ * --- Herd Visuals: physics camels up to a budget, the rest of `counter` drawn as a dune ---
+ * The body budget follows the physics frame budget: the measured cost of a
+ * step per body decides how many bodies fit, so a fast machine keeps more
+ * camels tumbling and a slow one hands them to the dune sooner.
+ */
+const MIN_PHYSICS_CAMELS = 30;
+const MAX_PHYSICS_CAMELS = 2000; // Hard ceiling, whatever the measurements say
+const INITIAL_PHYSICS_CAMELS = 150; // Until the first measurement comes in
+const PHYSICS_BUDGET_HEADROOM = 0.8; // Bodies may use this share of the frame budget
+const PHYSICS_COST_SMOOTHING = 0.05; // Weight of each new step in the per-body cost average
+const PHYSICS_LIMIT_REVIEW_STEPS = 120; // Re-fit the body budget every two seconds of physics
+const PHYSICS_LIMIT_MIN_CHANGE = 0.1; // Smaller relative changes are ignored so the dune does not flicker
+let physicsCamelLimit = INITIAL_PHYSICS_CAMELS;
+let physicsMsPerCamel = 0; // Smoothed milliseconds one physics step spends per body
+let physicsStepsSinceReview = 0;
+const HERD_PILE_HEIGHT_PER_SQRT_CAMEL = 6; // Dune grows with the square root of the camels it holds
+const HERD_PILE_MAX_HEIGHT_RATIO = 0.45; // Of the space between the top of the screen and the ground
+const HERD_PILE_MAX_SPRITES = 40;
+const HERD_PILE_SPRITE_SCALE = 0.35;
+const camelPool = []; // Released camel entities, reused by createCamelEntity()
+
+/** --- Pointer Grab: drag camels with mouse or touch and fling them on release --- */
+const DRAG_FOLLOW = 0.35; // Share of the gap to the pointer closed each physics step
+const DRAG_ROTATION_DAMPING = 0.9;
+const MAX_THROW_SPEED = 40; // Pixels per physics step
+const THROW_SAMPLE_WINDOW_MS = 80; // Release velocity averages the pointer's last movements
+const activeDrags = new Map(); // pointerId -> drag state, so several fingers can hold camels at once
+
+/** --- Shovel: deformable ground profile dug by the pointer and refilled over time --- */
+const GROUND_COLUMN_WIDTH = 8;
+const SHOVEL_RADIUS = 80;
+const SHOVEL_OPEN_DEPTH = 60; // Digging past the bottom keeps the hole open while this much refills
+const GROUND_REFILL_PER_STEP = 0.25; // Pixels of sand blown back per physics step
+const SAND_PER_GOLD = 6000; // Square pixels of dug sand per gold nugget
+let groundProfile = new Float32Array(0); // Dug depth below groundY per column
+let sandDugRemainder = 0;
+const activeDigs = new Map(); // pointerId -> x of the last dig, for drag-digging
+
+/** --- Broadphase: uniform grid so only nearby camels are collision-tested --- */
+const COLLISION_CELL_SIZE = 128; // About one camel, so a camel spans only a few cells
+const collisionGrid = new Map();
+
+/** --- Broadphase: physics time allowed per frame, in milliseconds; change it with setPhysicsFrameBudget() --- */
+const DEFAULT_PHYSICS_FRAME_BUDGET_MS = 8;
+const MIN_PHYSICS_FRAME_BUDGET_MS = 2;
+const MAX_PHYSICS_FRAME_BUDGET_MS = 16;
+let physicsFrameBudgetMs = DEFAULT_PHYSICS_FRAME_BUDGET_MS; // The backlog beyond it is dropped (slow motion, not stutter)
+
+/** --- Rigid Bodies: contact solver tuning (pixels and physics steps) --- */
+const SOLVER_ITERATIONS = 8;
+const CAMEL_FRICTION = 0.6;
+const GROUND_FRICTION = 0.8;
+const CAMEL_RESTITUTION = 0.25;
+const GROUND_RESTITUTION = 0.3;
+const RESTITUTION_THRESHOLD = 1.5; // Slower impacts settle into resting contacts instead of bouncing
+const PENETRATION_SLOP = 0.5;
+const POSITION_CORRECTION = 0.2;
+const MAX_CORRECTION_SPEED = 4;
+const CONTACT_TOLERANCE = 1; // Corners this close to a box surface still count as touching
+const SLEEP_LINEAR_SPEED = 0.1;
+const SLEEP_ANGULAR_SPEED = 0.003;
+const SLEEP_STEPS = 45;
+const WAKE_SPEED = 1.5;
+
+/** --- Incremental Loop System: persistent storage keys --- */
+const STORAGE_KEY = 'camelDropSave';
+const LEGACY_STORAGE_KEY = 'camelIncrementalStateV1'; // Unversioned saves, migrated by save.js
+
+/** --- Save Recovery: rolling backups of known-good saves (suffixes of the slot's key) --- */
+const BACKUP_KEY_SUFFIX = '.backups';
+const CORRUPT_KEY_SUFFIX = '.corrupt'; // Last unreadable save, kept for manual rescue
+const MAX_SAVE_BACKUPS = 3;
+const SAVE_BACKUP_INTERVAL_MS = 5 * 60 * 1000;
+let lastBackupTime = 0;
+
+/** --- Save Slots: index of named slots; the default slot keeps STORAGE_KEY --- */
+const SLOT_INDEX_STORAGE_KEY = 'camelDropSlots';
+const DEFAULT_SLOT_ID = 'main';
+let slotIndex = null;
+
+/** --- Offline Progress: catch-up limits --- */
+const OFFLINE_PROGRESS_MAX_SECONDS = 8 * 60 * 60; // Never simulate more than 8 hours away
+const OFFLINE_PROGRESS_MIN_SECONDS = 30; // Shorter gaps are caught up silently
+const OFFLINE_SIMULATION_STEP = 1; // Matches the live resource tick
+
+/** --- Resource Loop: wall-clock pacing --- */
+const RESOURCE_TICK_INTERVAL_MS = 1000;
+const RESOURCE_TICK_MAX_LIVE_SECONDS = 5; // Longer gaps (throttling, sleep) go through the catch-up path
+
+/** --- Incremental Loop System: economy engine (see economy.js) --- */
+let economy = null;
+
+/** --- Seedable Random: visual stream, derived from the economy seed --- */
+const VISUAL_SEED_SALT = 0x9E3779B9;
+let visualRandom = null;
+
+/** --- Building Registry: bulk-buy modes cycled by the ×1 / ×10 / ×max button --- */
+const BUY_AMOUNTS = [1, 10, 'max'];
+let buyAmountIndex = 0;
 
 /** --- Incremental Loop System: DOM references --- */
-let farmButton = null;
-let grasslandButton = null;
-let guardButton = null;
+const buildingButtons = {}; // Building id -> { button, badge }, generated from CamelBuildings.BUILDINGS
+let buyAmountButton = null;
 let nomadButton = null;
+let saveCodeButton = null;
+let saveSlotsButton = null;
+let upgradeShopButton = null;
+let upgradeShopPanel = null;
+let achievementsButton = null;
+let achievementsPanel = null;
+let statsButton = null;
+let statsPanel = null;
+let caravanRoutesPanel = null;
+let marketButton = null;
+let marketPanel = null;
+let breedsButton = null;
+let breedsPanel = null;
+
+/** --- Camel Breeds: tinted sprites, drawn once per breed --- */
+const BREED_TINT_ALPHA = 0.55;
+const BREED_PREVIEW_SIZE = 48;
+const breedSprites = {}; // Breed id -> canvas holding the tinted camel image
+
+/** --- Caravan Routes: progress bar per route, created the first time a route is used --- */
+const routeProgressBars = {}; // Route id -> { row, label, fill }
+let routeProgressContainer = null;
+
+/** --- Achievements: tracker saved with the game --- */
+const TOAST_MS = 4000;
+let achievementState = null;
+let toastContainer = null;
+
+/** --- Statistics: lifetime and per-run totals saved with the game --- */
+let statsState = null;
 const resourceElements = {
     grass: null,
+    health: null,
     farms: null,
     grasslands: null,
     caravans: null,
     guards: null,
-    nomads: null
+    nomads: null,
+    weather: null
 };
 
 /** --- Incremental Loop System: timers and loops --- */
-let farmProductionTimer = 0;
-let grassConsumptionTimer = 0;
-let caravanGoldTimer = 0;
-let banditTimer = 0;
 let resourceLoopInterval = null;
+let lastResourceTickTime = 0;
 let saveThrottleTimeout = null;
 
-/** --- Incremental Loop System: UI feedback --- */
-let statusMessageElement = null;
-let lastStatusUpdateTime = 0;
-let lastStatusText = '';
+/** --- Event Log: history saved with the game and its on-screen list --- */
+let eventLog = null;
+let eventLogFilter = 'all';
+let eventLogList = null;
+const eventLogFilterButtons = {};
+
+/** --- Raid Encounters: bandits that walk in from the screen edges --- */
+const RAID_ENCOUNTERS_STORAGE_KEY = 'camelDropRaidEncounters'; // Player preference, shared by every slot
+const RAID_BANDITS_MIN = 4;
+const RAID_BANDITS_MAX = 7;
+const RAID_APPROACH_SECONDS = 8; // Time a bandit needs to reach the herd in the middle
+const RAID_ENCOUNTER_TIMEOUT_MS = 30 * 1000; // Unattended encounters auto-resolve after this
+const MAX_DEPLOYED_GUARDS = 5; // Guards per encounter, one per guard camp
+const BANDIT_HIT_RADIUS = 40;
+const BANDIT_SPRITE_SIZE = 48;
+const GUARD_SPEED_FACTOR = 3; // Guards run this much faster than bandits walk
+let raidEncountersEnabled = true;
+let raidEncounter = null;
+let raidBanner = null;
+let raidEncountersButton = null;
+
+/** --- Day/Night & Weather: sky tint, wind and falling sand or rain --- */
+const DAY_LENGTH_MS = 10 * 60 * 1000; // One full day and night on the wall clock
+const NIGHT_MAX_ALPHA = 0.45;
+const DUSK_MAX_ALPHA = 0.2;
+const WIND_FORCE = 0.3; // Pixels per physics step squared; gusts peak above ground friction so resting camels slide
+const WIND_GUST_STEPS = 180; // Physics steps from one gust to the next
+const WEATHER_PARTICLE_COUNT = 150;
+let windDirection = 1;
+let windStep = 0;
+const weatherParticles = [];
+
+/** --- Audio Manager: mixer, player settings and the sound menu --- */
+const AUDIO_SETTINGS_STORAGE_KEY = 'camelDropAudio'; // Player preference, shared by every slot
+const CAMEL_SOUND_URL = 'assets/camel-male-sound-effect-370202.mp3';
+let audioManager = null;
+let soundButton = null;
+let soundPanel = null;
+
+/** --- Herd Health: warning shown as health falls past each threshold in economy.js --- */
+const HERD_HEALTH_WARNINGS = {
+    75: 'The herd is going hungry. Grow or buy grass before it weakens.',
+    50: 'The herd is weak! Farms breed slower and caravans bring back less.',
+    25: 'The herd is starving! Camels will die soon without grass.'
+};
+
+/** --- Offline Progress: summary panel currently on screen --- */
+let offlineSummaryPanel = null;
 
 // Initialize the game
 function init() {
@@ -66,6 +229,7 @@ function init() {
     
     // Calculate ground position (bottom of screen)
     groundY = canvas.height - 100;
+    resetGroundProfile();
     
     // Load camel image
     loadCamelImage();
@@ -73,7 +237,17 @@ function init() {
     // Setup audio
     setupAudio();
     
-    // --- Incremental Loop System: restore previous session ---
+    // --- Incremental Loop System: start the economy and restore previous session ---
+    economy = CamelEconomy.createEconomy();
+    economy.subscribe(handleEconomyEvent);
+    achievementState = CamelAchievements.createAchievementState();
+    economy.subscribe(handleAchievementEvent);
+    statsState = CamelStats.createStatsState();
+    economy.subscribe(handleStatsEvent);
+    eventLog = CamelEventLog.createEventLog();
+    loadRaidEncounterSetting();
+    restoreVisualRandom();
+    loadSlotIndex();
     loadGameState();
     
     // Add event listeners
@@ -81,6 +255,11 @@ function init() {
     document.getElementById('shovelButton').addEventListener('click', handleShovelClick);
     document.getElementById('caravanButton').addEventListener('click', handleCaravanClick);
     window.addEventListener('resize', onWindowResize);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    canvas.addEventListener('pointerdown', handlePointerDown);
+    canvas.addEventListener('pointermove', handlePointerMove);
+    canvas.addEventListener('pointerup', handlePointerUp);
+    canvas.addEventListener('pointercancel', handlePointerUp);
     
     // --- Incremental Loop System: prepare UI + loops ---
     setupIncrementalLoopSystem();
@@ -90,7 +269,7 @@ function init() {
     updateCaravanButton();
     
     // Start animation loop
-    animate();
+    requestAnimationFrame(animate);
 }
 
 /**
@@ -109,21 +288,123 @@ function loadCamelImage() {
 }
 
 /**
- * Setup audio elements
+ * --- Audio Manager: build the mixer from the saved settings ---
+ * Browsers only allow audio after a user gesture, so it starts on the first press anywhere.
  */
 function setupAudio() {
-    backgroundMusic = document.getElementById('backgroundMusic');
-    camelSound = document.getElementById('camelSound');
-    
-    // Start background music
-    backgroundMusic.volume = 0.3; // Lower volume for background music
-    backgroundMusic.play().catch(e => {
-        console.log('Background music autoplay blocked:', e);
-        // Music will start when user interacts with the page
+    audioManager = CamelAudio.createAudioManager({
+        musicElement: document.getElementById('backgroundMusic'),
+        samples: { camel: CAMEL_SOUND_URL },
+        settings: loadAudioSettings(),
+        random: () => visualRandom.next() // Pitch variation is cosmetic, so it draws from the visual stream
     });
+    document.addEventListener('pointerdown', () => audioManager.unlock(), { once: true });
+}
+
+/**
+ * --- Audio Manager: read the saved volumes and mute switch ---
+ * @returns {Object} - AudioSettings, defaults when nothing valid is stored.
+ */
+function loadAudioSettings() {
+    try {
+        const raw = localStorage.getItem(AUDIO_SETTINGS_STORAGE_KEY);
+        return CamelAudio.normalizeAudioSettings(raw ? JSON.parse(raw) : null);
+    } catch (error) {
+        console.error('Failed to read the audio settings:', error);
+        return CamelAudio.normalizeAudioSettings();
+    }
+}
+
+/**
+ * --- Audio Manager: remember the current volumes and mute switch ---
+ */
+function saveAudioSettings() {
+    try {
+        localStorage.setItem(AUDIO_SETTINGS_STORAGE_KEY, JSON.stringify(audioManager.getSettings()));
+    } catch (error) {
+        console.error('Failed to write the audio settings:', error);
+    }
+}
+
+/**
+ * --- Audio Manager: stereo position of a point on the canvas ---
+ * @param {number} x - Canvas x coordinate.
+ * @returns {number} - Pan from -1 (left edge) to 1 (right edge).
+ */
+function getCanvasPan(x) {
+    return canvas.width > 0 ? Math.min(Math.max(x / canvas.width * 2 - 1, -1), 1) : 0;
+}
+
+/**
+ * --- Audio Manager: show whether sound is muted on the menu button ---
+ */
+function updateSoundButton() {
+    if (!soundButton) {
+        return;
+    }
+    const muted = audioManager.getSettings().muted;
+    soundButton.querySelector('span').textContent = muted ? '🔇' : '🔊';
+    soundButton.title = muted ? 'Sound muted: click for volume settings' : 'Sound: music and effect volume';
+}
+
+/**
+ * --- Audio Manager: music and effect sliders plus the mute switch ---
+ */
+function openSoundPanel() {
+    if (soundPanel) {
+        return;
+    }
+    // The panel opens from a click, which also counts as the gesture audio needs
+    audioManager.unlock();
+    const { body, actions, close } = createModalPanel('Sound');
+    const render = () => {
+        body.textContent = '';
+        const settings = audioManager.getSettings();
+        [['music', '🎵 Music'], ['sfx', '🐪 Sound effects']].forEach(([channel, label]) => {
+            const row = document.createElement('label');
+            row.className = 'volume-row';
+            const name = document.createElement('span');
+            name.textContent = label;
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = '0';
+            slider.max = '100';
+            slider.value = String(Math.round(settings[channel] * 100));
+            const value = document.createElement('span');
+            value.className = 'slot-meta';
+            value.textContent = `${slider.value}%`;
+            slider.addEventListener('input', () => {
+                audioManager.setVolume(channel, Number(slider.value) / 100);
+                value.textContent = `${slider.value}%`;
+                saveAudioSettings();
+            });
+            // Let go of the effects slider to hear the new level
+            if (channel === 'sfx') {
+                slider.addEventListener('change', () => audioManager.playCue('coins'));
+            }
+            row.appendChild(name);
+            row.appendChild(slider);
+            row.appendChild(value);
+            body.appendChild(row);
+        });
+        
+        const muteRow = document.createElement('div');
+        muteRow.className = 'modal-actions';
+        addModalButton(muteRow, settings.muted ? '🔊 Unmute' : '🔇 Mute', () => {
+            audioManager.setMuted(!audioManager.getSettings().muted);
+            saveAudioSettings();
+            updateSoundButton();
+            render();
+        });
+        body.appendChild(muteRow);
+    };
     
-    // Set camel sound volume
-    camelSound.volume = 0.7;
+    soundPanel = { render };
+    addModalButton(actions, 'Close', () => {
+        soundPanel = null;
+        close();
+    });
+    render();
 }
 
 /**
@@ -196,45 +477,80 @@ function initializeIncrementalUI() {
     }
     
     resourceElements.grass = createResourceCounter(countersContainer, '🌿', 'grassAmount', 'Available grass');
+    resourceElements.health = createResourceCounter(countersContainer, '❤️', 'herdHealth', 'Herd health');
+    // --- Herd Health: bar under the percentage ---
+    const healthBar = document.createElement('div');
+    healthBar.className = 'progress-bar health-bar';
+    const healthFill = document.createElement('div');
+    healthFill.className = 'progress-fill';
+    healthBar.appendChild(healthFill);
+    resourceElements.health.parentElement.appendChild(healthBar);
     resourceElements.farms = createResourceCounter(countersContainer, '🏡', 'farmCount', 'Farms breeding camels');
     resourceElements.grasslands = createResourceCounter(countersContainer, '🏕️', 'grasslandCount', 'Grasslands generating grass');
     resourceElements.caravans = createResourceCounter(countersContainer, '🏕️', 'caravanCount', 'Active caravans');
     resourceElements.guards = createResourceCounter(countersContainer, '🛡️', 'guardCount', 'Guard camps protecting caravans');
     resourceElements.nomads = createResourceCounter(countersContainer, '🔄', 'nomadTokenCount', 'Nomad tokens for permanent boosts');
+    resourceElements.weather = createResourceCounter(countersContainer, '☀️', 'weatherStatus', 'Clear skies');
     
-    statusMessageElement = document.createElement('div');
-    statusMessageElement.style.marginTop = '10px';
-    statusMessageElement.style.padding = '10px 14px';
-    statusMessageElement.style.background = 'rgba(0, 0, 0, 0.35)';
-    statusMessageElement.style.borderRadius = '10px';
-    statusMessageElement.style.color = '#FFFFFF';
-    statusMessageElement.style.fontWeight = '600';
-    statusMessageElement.style.minWidth = '180px';
-    statusMessageElement.style.fontSize = '16px';
-    statusMessageElement.textContent = 'Welcome back to the dunes!';
-    countersContainer.appendChild(statusMessageElement);
+    createEventLogElement(countersContainer);
     
     const iconContainer = document.getElementById('iconButtons');
-    const progressBar = document.getElementById('caravanProgress');
+    routeProgressContainer = document.getElementById('caravanRoutes');
     
     if (iconContainer) {
-        farmButton = createEmojiButton('🏡', 'Spend 25 🪙 to build a farm that breeds camels.');
-        grasslandButton = createEmojiButton('🌿', 'Spend 50 🪙 to cultivate a grassland for grass.');
-        guardButton = createEmojiButton('🛡️', 'Spend 100 🪙 to build a guard camp.');
+        // --- Building Registry: one button per registered building, plus the bulk-buy toggle ---
+        const generatedButtons = [];
+        buyAmountButton = createEmojiButton('×1', 'Buy amount: click to switch between ×1, ×10 and ×max');
+        const buyAmountLabel = buyAmountButton.querySelector('span');
+        buyAmountLabel.style.fontSize = '18px';
+        buyAmountLabel.style.fontWeight = 'bold';
+        buyAmountLabel.style.color = '#5C4033';
+        generatedButtons.push(buyAmountButton);
+        CamelBuildings.BUILDINGS.forEach(building => {
+            const button = createEmojiButton(building.icon, building.name);
+            button.classList.add('building-button');
+            const badge = document.createElement('span');
+            badge.className = 'button-badge';
+            button.appendChild(badge);
+            buildingButtons[building.id] = { button, badge };
+            generatedButtons.push(button);
+        });
         nomadButton = createEmojiButton('🔄', 'Nomad Migration: reset for Nomad Tokens.');
         nomadButton.classList.add('disabled');
+        generatedButtons.push(nomadButton);
         
-        if (progressBar) {
-            iconContainer.insertBefore(farmButton, progressBar);
-            iconContainer.insertBefore(grasslandButton, progressBar);
-            iconContainer.insertBefore(guardButton, progressBar);
-            iconContainer.insertBefore(nomadButton, progressBar);
-        } else {
-            iconContainer.appendChild(farmButton);
-            iconContainer.appendChild(grasslandButton);
-            iconContainer.appendChild(guardButton);
-            iconContainer.appendChild(nomadButton);
-        }
+        generatedButtons.forEach(button => {
+            if (routeProgressContainer) {
+                iconContainer.insertBefore(button, routeProgressContainer);
+            } else {
+                iconContainer.appendChild(button);
+            }
+        });
+    }
+    
+    // --- Menu Buttons: panels that are not part of the core loop ---
+    const menuContainer = document.getElementById('menuButtons');
+    if (menuContainer) {
+        upgradeShopButton = createEmojiButton('🏺', 'Nomad upgrades: spend tokens on permanent boosts');
+        achievementsButton = createEmojiButton('🏆', 'Achievements');
+        breedsButton = createEmojiButton('🐫', 'Camel breeds collection');
+        statsButton = createEmojiButton('📊', 'Statistics');
+        saveSlotsButton = createEmojiButton('🗂️', 'Save slots');
+        saveCodeButton = createEmojiButton('💾', 'Export or import a save code');
+        marketButton = createEmojiButton('⚖️', 'Trade market: sell camels and grass, buy grass');
+        raidEncountersButton = createEmojiButton('⚔️', '');
+        updateRaidEncountersButton();
+        soundButton = createEmojiButton('🔊', '');
+        updateSoundButton();
+        menuContainer.appendChild(marketButton);
+        menuContainer.appendChild(upgradeShopButton);
+        menuContainer.appendChild(achievementsButton);
+        menuContainer.appendChild(breedsButton);
+        menuContainer.appendChild(statsButton);
+        menuContainer.appendChild(saveSlotsButton);
+        menuContainer.appendChild(saveCodeButton);
+        menuContainer.appendChild(raidEncountersButton);
+        menuContainer.appendChild(soundButton);
     }
 }
 
@@ -242,18 +558,42 @@ function initializeIncrementalUI() {
  * --- Incremental Loop System: bind button listeners ---
  */
 function attachIncrementalListeners() {
-    if (farmButton) {
-        farmButton.addEventListener('click', handleFarmPurchase);
-    }
-    if (grasslandButton) {
-        grasslandButton.addEventListener('click', handleGrasslandPurchase);
-    }
-    if (guardButton) {
-        guardButton.addEventListener('click', handleGuardPurchase);
+    Object.keys(buildingButtons).forEach(id => {
+        buildingButtons[id].button.addEventListener('click', () => handleBuildingPurchase(id));
+    });
+    if (buyAmountButton) {
+        buyAmountButton.addEventListener('click', cycleBuyAmount);
     }
     if (nomadButton) {
         nomadButton.addEventListener('click', handleNomadMigration);
     }
+    if (marketButton) {
+        marketButton.addEventListener('click', openMarketPanel);
+    }
+    if (upgradeShopButton) {
+        upgradeShopButton.addEventListener('click', openUpgradeShopPanel);
+    }
+    if (achievementsButton) {
+        achievementsButton.addEventListener('click', openAchievementsPanel);
+    }
+    if (breedsButton) {
+        breedsButton.addEventListener('click', openBreedsPanel);
+    }
+    if (statsButton) {
+        statsButton.addEventListener('click', openStatsPanel);
+    }
+    if (saveSlotsButton) {
+        saveSlotsButton.addEventListener('click', openSaveSlotsPanel);
+    }
+    if (saveCodeButton) {
+        saveCodeButton.addEventListener('click', openSaveCodePanel);
+    }
+    if (raidEncountersButton) {
+        raidEncountersButton.addEventListener('click', toggleRaidEncounters);
+    }
+    if (soundButton) {
+        soundButton.addEventListener('click', openSoundPanel);
+    }
 }
 
 /**
@@ -265,746 +605,2972 @@ function setupIncrementalLoopSystem() {
     startResourceLoop();
     updateNomadButtonState();
     updateIncrementalCounters();
-    updateCaravanProgressBar();
+    updateRouteProgressBars();
 }
 
 /**
  * --- Incremental Loop System: create the recurring resource loop ---
  */
 function startResourceLoop() {
+    stopResourceLoop();
+    // --- Resource Loop: measure real time from here on ---
+    lastResourceTickTime = Date.now();
+    resourceLoopInterval = setInterval(processElapsedTime, RESOURCE_TICK_INTERVAL_MS);
+}
+
+/**
+ * --- Resource Loop: cancel the recurring resource loop ---
+ */
+function stopResourceLoop() {
     if (resourceLoopInterval) {
-        // --- Incremental Loop System: prevent duplicate loops ---
         clearInterval(resourceLoopInterval);
+        resourceLoopInterval = null;
     }
-    // --- Incremental Loop System: schedule tick every second ---
-    resourceLoopInterval = setInterval(() => {
-        runResourceTick(1);
-    }, 1000);
 }
 
 /**
- * --- Incremental Loop System: execute one resource tick ---
- * @param {number} deltaSeconds - Elapsed seconds since previous tick.
+ * --- Resource Loop: feed the real elapsed time into the economy ---
+ * Browsers throttle timers in hidden tabs and pause them during sleep, so the
+ * interval only decides when to look at the clock, never how much time passed.
  */
-function runResourceTick(deltaSeconds) {
-    // --- Incremental Loop System: apply passive generation and upkeep ---
-    const grassGrowthChanged = applyGrasslandGrowth(deltaSeconds);
-    const farmChanged = processFarmProduction(deltaSeconds);
-    const grassConsumed = processGrassConsumption(deltaSeconds);
-    const caravanGoldChanged = processCaravanGold(deltaSeconds);
-    const banditEvent = processBanditRaid(deltaSeconds);
-    
-    if (grassGrowthChanged || farmChanged || grassConsumed || caravanGoldChanged || banditEvent) {
-        updateIncrementalCounters();
-        updateCaravanButton();
-        queueSaveGameState();
-    }
+function processElapsedTime() {
+    const now = Date.now();
+    // --- Resource Loop: ignore clocks that jump backwards ---
+    const deltaSeconds = Math.max(0, (now - lastResourceTickTime) / 1000);
+    lastResourceTickTime = now;
     
-    updateCaravanProgressBar();
-    updateNomadButtonState();
+    if (deltaSeconds > RESOURCE_TICK_MAX_LIVE_SECONDS) {
+        // --- Resource Loop: long gap, replay it in capped one-second steps ---
+        showOfflineSummary(simulateOfflineProgress(deltaSeconds));
+        runResourceTick(0);
+        return;
+    }
+    runResourceTick(deltaSeconds);
 }
 
 /**
- * --- Incremental Loop System: grass creation from grasslands ---
- * @param {number} deltaSeconds - Elapsed seconds since last check.
- * @returns {boolean} - True when grass changed.
+ * --- Resource Loop: pause while hidden, catch up when the tab returns ---
  */
-function applyGrasslandGrowth(deltaSeconds) {
-    if (grasslandCount === 0 || deltaSeconds <= 0) {
-        return false;
-    }
-    const grassGained = Math.floor(grasslandCount * deltaSeconds);
-    if (grassGained <= 0) {
-        return false;
+function handleVisibilityChange() {
+    if (document.hidden) {
+        // --- Resource Loop: settle the partial second, then persist for a possible close ---
+        processElapsedTime();
+        autoResolveRaids();
+        stopResourceLoop();
+        flushSaveGameState();
+        return;
     }
-    // --- Incremental Loop System: accumulate new grass ---
-    grassAmount += grassGained;
-    updateStatusMessage(`Grasslands grew ${grassGained} 🌿`);
-    return true;
+    processElapsedTime();
+    startResourceLoop();
 }
 
 /**
- * --- Incremental Loop System: produce camels from farms if grass is ready ---
+ * --- Incremental Loop System: execute one resource tick ---
  * @param {number} deltaSeconds - Elapsed seconds since previous tick.
- * @returns {boolean} - True when camels produced.
  */
-function processFarmProduction(deltaSeconds) {
-    farmProductionTimer += deltaSeconds;
-    if (farmCount === 0 || farmProductionTimer < 2) {
-        return false;
-    }
-    
-    const cycles = Math.floor(farmProductionTimer / 2);
-    if (cycles === 0) {
-        return false;
-    }
-    
-    const potentialCamels = cycles * farmCount;
-    if (grassAmount <= 0) {
-        farmProductionTimer = Math.min(farmProductionTimer, 2);
-        return false;
+function runResourceTick(deltaSeconds) {
+    // --- Incremental Loop System: counters refresh through economy events ---
+    economy.tick(deltaSeconds);
+    if (raidEncounter && Date.now() - raidEncounter.startedAt > RAID_ENCOUNTER_TIMEOUT_MS) {
+        autoResolveRaids();
     }
-    
-    const camelsProduced = Math.min(potentialCamels, grassAmount);
-    if (camelsProduced <= 0) {
-        farmProductionTimer = Math.min(farmProductionTimer, 2);
-        return false;
+    updateRouteProgressBars();
+    updateNomadButtonState();
+    updateWeatherIndicator();
+    // --- Statistics: only live ticks count as time played ---
+    CamelStats.addPlayTime(statsState, deltaSeconds);
+    if (statsPanel) {
+        statsPanel.render();
     }
-    
-    // --- Incremental Loop System: convert grass into camels ---
-    grassAmount -= camelsProduced;
-    farmProductionTimer -= cycles * 2;
-    gainCamels(camelsProduced, false);
-    updateStatusMessage(`Farms bred ${camelsProduced} 🐪`);
-    return true;
 }
 
 /**
- * --- Incremental Loop System: grass upkeep for camels ---
- * @param {number} deltaSeconds - Elapsed seconds since previous tick.
- * @returns {boolean} - True when grass changed.
+ * --- Event Log: build the filter chips and the scrolling list under the counters ---
+ * @param {HTMLElement} container - Element to append the log to.
  */
-function processGrassConsumption(deltaSeconds) {
-    grassConsumptionTimer += deltaSeconds;
-    if (grassConsumptionTimer < 10 || counter <= 0) {
-        return false;
-    }
-    
-    const cycles = Math.floor(grassConsumptionTimer / 10);
-    if (cycles === 0) {
-        return false;
-    }
+function createEventLogElement(container) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'event-log';
     
-    const grassNeeded = counter * cycles;
-    const grassUsed = Math.min(grassNeeded, grassAmount);
-    // --- Incremental Loop System: upkeep cost for herd ---
-    grassAmount -= grassUsed;
-    grassConsumptionTimer -= cycles * 10;
+    const filters = document.createElement('div');
+    filters.className = 'event-log-filters';
+    const choices = [{ id: 'all', icon: '📜', label: 'All' }].concat(CamelEventLog.LOG_CATEGORIES);
+    choices.forEach(choice => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'event-log-filter';
+        button.textContent = choice.icon;
+        button.title = `Show ${choice.label.toLowerCase()} events`;
+        button.addEventListener('click', () => {
+            eventLogFilter = choice.id;
+            renderEventLog();
+        });
+        eventLogFilterButtons[choice.id] = button;
+        filters.appendChild(button);
+    });
     
-    if (grassUsed < grassNeeded) {
-        updateStatusMessage('Grass has run dry! Farms are idle.');
-    } else {
-        updateStatusMessage(`Camels grazed ${grassUsed} 🌿`);
-    }
+    eventLogList = document.createElement('ul');
+    eventLogList.className = 'event-log-list';
     
-    return grassUsed > 0;
+    wrapper.appendChild(filters);
+    wrapper.appendChild(eventLogList);
+    container.appendChild(wrapper);
+    renderEventLog();
 }
 
 /**
- * --- Incremental Loop System: automatic caravan gold payout ---
- * @param {number} deltaSeconds - Elapsed seconds since previous tick.
- * @returns {boolean} - True when gold changed.
+ * --- Event Log: redraw the list for the current filter, newest first ---
  */
-function processCaravanGold(deltaSeconds) {
-    caravanGoldTimer += deltaSeconds;
-    if (caravanCount === 0 || caravanGoldTimer < 60) {
-        return false;
-    }
-    
-    const cycles = Math.floor(caravanGoldTimer / 60);
-    if (cycles === 0) {
-        return false;
+function renderEventLog() {
+    if (!eventLogList || !eventLog) {
+        return;
     }
+    Object.keys(eventLogFilterButtons).forEach(id => {
+        eventLogFilterButtons[id].classList.toggle('active', id === eventLogFilter);
+    });
     
-    let totalGold = 0;
-    for (let i = 0; i < caravanCount * cycles; i++) {
-        const baseGold = Math.floor(Math.random() * 8) + 14; // 14-21 inclusive
-        const multiplier = 1 + nomadTokens * 0.01;
-        totalGold += Math.floor(baseGold * multiplier);
+    eventLogList.textContent = '';
+    const entries = CamelEventLog.filterLog(eventLog, eventLogFilter);
+    if (entries.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'event-log-empty';
+        empty.textContent = 'Nothing has happened yet.';
+        eventLogList.appendChild(empty);
+        return;
     }
-    
-    // --- Incremental Loop System: reset progress for processed cycles ---
-    caravanGoldTimer -= cycles * 60;
-    if (totalGold <= 0) {
-        return false;
+    entries.forEach(entry => {
+        const item = document.createElement('li');
+        item.className = `event-log-entry event-log-${entry.category}`;
+        if (entry.important) {
+            item.classList.add('important');
+        }
+        const time = document.createElement('time');
+        time.dateTime = new Date(entry.time).toISOString();
+        time.textContent = new Date(entry.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const message = document.createElement('span');
+        message.textContent = entry.repeat > 1 ? `${entry.message} (×${entry.repeat})` : entry.message;
+        item.appendChild(time);
+        item.appendChild(message);
+        eventLogList.appendChild(item);
+    });
+}
+
+/**
+ * --- Event Log: record a line under a category and show it ---
+ * @param {string} category - Category id from eventlog.js.
+ * @param {string} message - Text to show.
+ * @param {Object} [options] - `key` folds repeats of the same kind of line; `important` highlights and keeps it.
+ */
+function logEvent(category, message, options = {}) {
+    if (!eventLog || !message) {
+        return;
     }
-    
-    gainGold(totalGold);
-    updateStatusMessage(`Caravans hauled ${totalGold} 🪙`);
-    return true;
+    CamelEventLog.addLogEntry(eventLog, {
+        category,
+        message,
+        key: options.key,
+        important: options.important
+    }, Date.now());
+    renderEventLog();
+    queueSaveGameState();
 }
 
 /**
- * --- Incremental Loop System: random bandit raid processing ---
- * @param {number} deltaSeconds - Elapsed seconds since previous tick.
- * @returns {boolean} - True when resources changed.
+ * --- Incremental Loop System: react to everything the economy reports ---
+ * @param {Object} event - EconomyEvent raised by economy.js.
  */
-function processBanditRaid(deltaSeconds) {
-    banditTimer += deltaSeconds;
-    if (banditTimer < 60) {
-        return false;
+function handleEconomyEvent(event) {
+    if (event.catchUp) {
+        // --- Incremental Loop System: caught-up time is summarised once afterwards ---
+        return;
     }
     
-    const cycles = Math.floor(banditTimer / 60);
-    banditTimer -= cycles * 60;
-    
-    let resourcesChanged = false;
-    for (let i = 0; i < cycles; i++) {
-        const attackChance = Math.random() * 0.05 + 0.05; // 5-10%
-        if (Math.random() > attackChance) {
-            continue;
+    switch (event.type) {
+        case 'grassGrown':
+            logEvent('economy', `Grasslands grew ${event.amount} 🌿`, { key: 'grassGrown' });
+            break;
+        case 'camelsGained':
+            // --- Herd Visuals: every new camel shows up, as a body or in the dune ---
+            spawnHerdCamels(event.amount, event.source, event.breeds);
+            if (event.source === 'drop' && camels.length > 0) {
+                // --- Audio Manager: the dropped camel grunts from where it falls ---
+                audioManager.playSample('camel', { pan: getCanvasPan(camels[camels.length - 1].x) });
+            }
+            if (event.source === 'farm') {
+                logEvent('economy', `Farms bred ${event.amount} 🐪`, { key: 'farmBred' });
+            }
+            Object.keys(event.breeds).forEach(id => {
+                const breed = CamelBreeds.getBreed(id);
+                if (breed.rarity === 'rare' || breed.rarity === 'legendary') {
+                    logEvent('economy', `${CamelBreeds.getRarity(breed.rarity).name} ${breed.name} ×${event.breeds[id]} joined the herd ✨`, { key: `breed-${id}` });
+                }
+            });
+            break;
+        case 'breedDiscovered': {
+            const breed = CamelBreeds.getBreed(event.breed);
+            logEvent('milestones', `New breed found: ${breed.name}! 🐫`, { important: true });
+            showToast('🐫', `New breed: ${breed.name}`, breed.trait);
+            break;
         }
-        
-        // --- Incremental Loop System: guards reduce caravan loss chance ---
-        const lossChance = guardCampCount > 0 ? 0.5 : 1;
-        let caravanLost = false;
-        if (caravanCount > 0 && Math.random() < lossChance) {
-            caravanCount -= 1;
-            caravanLost = true;
-            resourcesChanged = true;
+        case 'camelsSpent':
+            syncHerdVisuals();
+            break;
+        case 'herdGrazed':
+            if (event.amount < event.needed) {
+                logEvent('economy', 'Grass has run dry! Farms are idle.', { key: 'grassDry' });
+            } else {
+                logEvent('economy', `Camels grazed ${event.amount} 🌿`, { key: 'herdGrazed' });
+            }
+            break;
+        case 'herdWeakened': {
+            const warning = HERD_HEALTH_WARNINGS[event.threshold];
+            logEvent('economy', `⚠️ ${warning}`, { important: true });
+            showToast('⚠️', `Herd health ${Math.round(event.health)}%`, warning);
+            break;
         }
-        
-        const goldStolen = Math.min(goldAmount, Math.floor(goldAmount * (0.1 + Math.random() * 0.1)));
-        if (goldStolen > 0) {
-            goldAmount -= goldStolen;
-            resourcesChanged = true;
+        case 'camelsStarved':
+            syncHerdVisuals();
+            logEvent('economy', `${event.amount} 🐪 starved to death! 🦴`, { key: 'camelsStarved' });
+            break;
+        case 'herdRecovered':
+            logEvent('economy', 'The herd is healthy again ❤️', { key: 'herdRecovered' });
+            break;
+        case 'goldGained':
+            audioManager.playCue('coins');
+            if (event.source === 'sand') {
+                logEvent('economy', `Found ${event.amount} 🪙 in the sand`, { key: 'sandGold' });
+            }
+            break;
+        case 'banditsSpotted':
+            audioManager.playCue('raid');
+            logEvent('raids', 'Bandits on the horizon! Click them or send guards ⚔️', { important: true });
+            startRaidEncounter();
+            break;
+        case 'banditRaid':
+            if (event.defense >= 1) {
+                logEvent('raids', 'Every bandit was driven off! 🛡️', { important: true });
+            } else if (event.caravanLost || event.goldStolen > 0) {
+                audioManager.playCue('raid');
+                logEvent('raids', `Bandits struck! 💀 Lost ${event.caravanLost ? '1 caravan' : 'no caravans'} and ${event.goldStolen} 🪙`, { important: true });
+            } else {
+                logEvent('raids', 'Bandits were spotted but guards held firm.', { key: 'raidRepelled' });
+            }
+            break;
+        case 'buildingPurchased': {
+            audioManager.playCue('purchase');
+            const building = CamelBuildings.getBuilding(event.building);
+            logEvent('purchases', event.quantity > 1 ? `${building.purchaseMessage} ×${event.quantity}` : building.purchaseMessage);
+            break;
         }
-        
-        if (caravanLost || goldStolen > 0) {
-            updateStatusMessage(`Bandits struck! 💀 Lost ${caravanLost ? '1 caravan' : 'no caravans'} and ${goldStolen} 🪙`);
-        } else {
-            updateStatusMessage('Bandits were spotted but guards held firm.');
+        case 'caravanFormed':
+            audioManager.playCue('purchase');
+            logEvent('purchases', `Caravan sent to ${CamelRoutes.getRoute(event.route).name}! 🏕️`);
+            break;
+        case 'caravanArrived': {
+            const route = CamelRoutes.getRoute(event.route);
+            if (event.lost > 0) {
+                logEvent('raids', `Bandits ambushed the road to ${route.name}! 💀 Lost ${event.lost} ${event.lost === 1 ? 'caravan' : 'caravans'}`, { important: true });
+            }
+            if (event.caravans > 0) {
+                logEvent('economy', `${route.icon} Caravans back from ${route.name} with ${event.gold} 🪙`, { key: `arrived-${route.id}` });
+            }
+            break;
+        }
+        case 'marketTrade': {
+            if (event.side === 'buy') {
+                audioManager.playCue('purchase');
+            }
+            const good = CamelMarket.getGood(event.good);
+            logEvent('purchases', event.side === 'sell'
+                ? `Sold ${event.quantity} ${good.icon} for ${event.gold} 🪙`
+                : `Bought ${event.quantity} ${good.icon} for ${event.gold} 🪙`);
+            break;
+        }
+        case 'cargoLoaded':
+            logEvent('economy', `Loaded ${event.amount} 🌿 for ${CamelRoutes.getRoute(event.route).name}`, { key: `cargo-${event.route}` });
+            break;
+        case 'weatherStarted': {
+            const weather = CamelWeather.getWeather(event.weather);
+            logEvent('weather', `${weather.icon} ${weather.announcement}`, { important: true });
+            showToast(weather.icon, weather.name, weather.announcement);
+            if (weather.wind) {
+                // --- Day/Night & Weather: a new storm picks its side and wakes the herd ---
+                windDirection = visualRandom.next() < 0.5 ? -1 : 1;
+                wakeAllCamels();
+            }
+            break;
+        }
+        case 'weatherEnded': {
+            const weather = CamelWeather.getWeather(event.weather);
+            logEvent('weather', `${weather.icon} The ${weather.name.toLowerCase()} has passed.`, { key: 'weatherEnded' });
+            break;
         }
+        case 'migration':
+            clearCamelEntities();
+            logEvent('milestones', `Nomads set out with ${event.tokens} tokens! 🔄`, { important: true });
+            break;
+        case 'upgradePurchased':
+            audioManager.playCue('purchase');
+            logEvent('purchases', `${CamelUpgrades.getUpgrade(event.upgrade).name} reached level ${event.level}! 🏺`);
+            break;
     }
     
-    return resourcesChanged;
+    refreshEconomyUI();
+    queueSaveGameState();
 }
 
 /**
- * --- Incremental Loop System: update floating status label with throttling ---
- * @param {string} message - Message to display.
+ * --- Achievements: count every event, including caught-up time, and celebrate unlocks ---
+ * @param {Object} event - EconomyEvent raised by economy.js.
  */
-function updateStatusMessage(message) {
-    if (!statusMessageElement || !message) {
-        return;
+function handleAchievementEvent(event) {
+    const unlocked = CamelAchievements.recordEvent(achievementState, event, economy.state, Date.now());
+    unlocked.forEach(achievement => {
+        showToast(achievement.icon, `Achievement unlocked: ${achievement.name}`, achievement.description);
+        logEvent('milestones', `Achievement unlocked: ${achievement.name} ${achievement.icon}`, { important: true });
+    });
+    if (unlocked.length > 0) {
+        queueSaveGameState();
     }
-    const now = Date.now();
-    if (message === lastStatusText && now - lastStatusUpdateTime < 4000) {
-        return;
+    if (achievementsPanel) {
+        achievementsPanel.render();
     }
-    statusMessageElement.textContent = message;
-    lastStatusText = message;
-    lastStatusUpdateTime = now;
 }
 
 /**
- * --- Incremental Loop System: add camels to the resource pool ---
- * @param {number} amount - Camels to add.
- * @param {boolean} shouldSpawnVisual - Whether to create physics entities.
+ * --- Achievements: slide in a toast for a fresh unlock or a weather change ---
+ * @param {string} iconText - Emoji shown on the left.
+ * @param {string} headingText - Bold first line.
+ * @param {string} descriptionText - Smaller second line.
+ */
+function showToast(iconText, headingText, descriptionText) {
+    if (!toastContainer) {
+        toastContainer = document.createElement('div');
+        toastContainer.className = 'toast-container';
+        document.body.appendChild(toastContainer);
+    }
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    
+    const icon = document.createElement('span');
+    icon.className = 'toast-icon';
+    icon.textContent = iconText;
+    const text = document.createElement('div');
+    const heading = document.createElement('strong');
+    heading.textContent = headingText;
+    const description = document.createElement('p');
+    description.textContent = descriptionText;
+    text.appendChild(heading);
+    text.appendChild(description);
+    
+    toast.appendChild(icon);
+    toast.appendChild(text);
+    toastContainer.appendChild(toast);
+    setTimeout(() => {
+        toast.classList.add('toast-leaving');
+        setTimeout(() => toast.remove(), 500);
+    }, TOAST_MS);
+}
+
+/**
+ * --- Achievements: list every achievement with its progress ---
  */
-function gainCamels(amount, shouldSpawnVisual) {
-    if (amount <= 0) {
+function openAchievementsPanel() {
+    if (achievementsPanel) {
         return;
     }
-    counter += amount;
-    if (shouldSpawnVisual) {
-        for (let i = 0; i < amount; i++) {
-            // --- Incremental Loop System: spawn physics entity for new camel ---
-            createCamelEntity();
-        }
+    const { body, actions, close } = createModalPanel('Achievements');
+    const render = () => {
+        body.textContent = '';
+        const achievements = CamelAchievements.ACHIEVEMENTS;
+        const unlockedCount = achievements.filter(achievement => achievementState.unlocked[achievement.id]).length;
+        const summary = document.createElement('p');
+        summary.textContent = `${unlockedCount} of ${achievements.length} unlocked`;
+        body.appendChild(summary);
+        
+        achievements.forEach(achievement => {
+            const progress = CamelAchievements.getProgress(achievementState, achievement);
+            const row = document.createElement('div');
+            row.className = 'achievement-row' + (progress.unlockedAt ? ' unlocked' : '');
+            
+            const title = document.createElement('strong');
+            title.textContent = `${progress.unlockedAt ? achievement.icon : '🔒'} ${achievement.name}`;
+            const description = document.createElement('p');
+            description.textContent = achievement.description;
+            
+            const bar = document.createElement('div');
+            bar.className = 'achievement-progress';
+            const fill = document.createElement('div');
+            fill.className = 'achievement-progress-fill';
+            fill.style.width = `${(progress.value / progress.goal) * 100}%`;
+            bar.appendChild(fill);
+            
+            const meta = document.createElement('p');
+            meta.className = 'slot-meta';
+            meta.textContent = progress.unlockedAt
+                ? `Unlocked ${new Date(progress.unlockedAt).toLocaleString()}`
+                : `${Math.floor(progress.value)} / ${progress.goal}`;
+            
+            row.appendChild(title);
+            row.appendChild(description);
+            row.appendChild(bar);
+            row.appendChild(meta);
+            body.appendChild(row);
+        });
+    };
+    
+    achievementsPanel = { render };
+    addModalButton(actions, 'Close', () => {
+        achievementsPanel = null;
+        close();
+    });
+    render();
+}
+
+/**
+ * --- Statistics: fold every event, including caught-up time, into the totals ---
+ * @param {Object} event - EconomyEvent raised by economy.js.
+ */
+function handleStatsEvent(event) {
+    CamelStats.recordEvent(statsState, event);
+}
+
+/**
+ * --- Statistics: show this run's and lifetime totals side by side ---
+ */
+function openStatsPanel() {
+    if (statsPanel) {
+        return;
     }
+    const { body, actions, close } = createModalPanel('Statistics');
+    const table = document.createElement('table');
+    table.className = 'stats-table';
+    body.appendChild(table);
+    
+    const render = () => {
+        table.textContent = '';
+        const header = table.insertRow();
+        ['', 'This run', 'Lifetime'].forEach(label => {
+            const cell = document.createElement('th');
+            cell.textContent = label;
+            header.appendChild(cell);
+        });
+        CamelStats.STATS.forEach(stat => {
+            const format = value => (stat.format === 'duration' ? formatDuration(value) : Math.floor(value).toLocaleString());
+            const row = table.insertRow();
+            row.insertCell().textContent = `${stat.icon} ${stat.label}`;
+            // Migrations end a run, so a run never has any of its own
+            row.insertCell().textContent = stat.key === 'migrations' ? '—' : format(statsState.run[stat.key]);
+            row.insertCell().textContent = format(statsState.lifetime[stat.key]);
+        });
+    };
+    
+    statsPanel = { render };
+    addModalButton(actions, 'Close', () => {
+        statsPanel = null;
+        close();
+    });
+    render();
+}
+
+/**
+ * --- Incremental Loop System: redraw every economy-driven element ---
+ */
+function refreshEconomyUI() {
     updateCounters();
+    updateBuildingButtons();
     updateCaravanButton();
-    queueSaveGameState();
+    updateRouteProgressBars();
+    updateNomadButtonState();
+    updateWeatherIndicator();
+    if (upgradeShopPanel) {
+        upgradeShopPanel.render();
+    }
+    if (caravanRoutesPanel) {
+        caravanRoutesPanel.render();
+    }
+    if (marketPanel) {
+        marketPanel.render();
+    }
+    if (breedsPanel) {
+        breedsPanel.render();
+    }
 }
 
 /**
  * --- Incremental Loop System: instantiate a physics camel entity ---
+ * Entities are recycled through camelPool instead of allocated per camel.
+ * @param {string} [breedId] - Breed from breeds.js; dromedary when omitted.
  */
-function createCamelEntity() {
-    const camel = {
-        x: Math.random() * (canvas.width - 100) + 50,
+function createCamelEntity(breedId = CamelBreeds.DEFAULT_BREED_ID) {
+    const breed = CamelBreeds.getBreed(breedId);
+    const camel = camelPool.pop() || {};
+    Object.assign(camel, {
+        x: visualRandom.range(50, canvas.width - 50),
         y: 50,
         width: 80,
         height: 100,
-        velocityX: (Math.random() - 0.5) * 2,
+        velocityX: visualRandom.range(-1, 1),
         velocityY: 0,
-        rotation: (Math.random() - 0.5) * 0.5,
-        rotationSpeed: (Math.random() - 0.5) * 0.02,
-        scale: 0.8 + Math.random() * 0.4,
-        color: `hsl(${Math.random() * 60 + 30}, 70%, 60%)`,
-        anchorX: Math.random() * 80,
-        anchorY: Math.random() * 100
-    };
+        rotation: visualRandom.range(-0.25, 0.25),
+        rotationSpeed: visualRandom.range(-0.01, 0.01),
+        scale: breed.scale * visualRandom.range(0.9, 1.1),
+        breed: breed.id,
+        // --- Rigid Bodies: pivot at the centre of mass so spins look physical ---
+        anchorX: 40,
+        anchorY: 50,
+        asleep: false,
+        sleepSteps: 0,
+        grabbedBy: null
+    });
+    // --- Fixed Timestep: start interpolation from the spawn pose ---
+    storePreviousTransform(camel);
     camels.push(camel);
 }
 
 /**
- * --- Incremental Loop System: reduce camels if enough are available ---
- * @param {number} amount - Camels to spend.
- * @returns {boolean} - True when deduction succeeds.
+ * --- Herd Visuals: hand a camel entity back to the pool ---
+ * @param {Object} camel - Entity already removed from `camels`.
  */
-function spendCamels(amount) {
-    if (amount <= 0 || counter < amount) {
-        return false;
+function releaseCamelEntity(camel) {
+    camel.box = null;
+    camel.grabbedBy = null; // Any drag still pointing at it lets go on the next pointer event
+    if (camelPool.length < physicsCamelLimit) {
+        camelPool.push(camel);
     }
-    counter -= amount;
-    updateCounters();
-    updateCaravanButton();
-    queueSaveGameState();
-    return true;
 }
 
 /**
- * --- Incremental Loop System: add gold with multiplier applied ---
- * @param {number} amount - Base gold to add.
+ * --- Herd Visuals: remove every physics camel, e.g. on migration or slot switch ---
  */
-function gainGold(amount) {
-    if (amount <= 0) {
-        return;
-    }
-    // --- Incremental Loop System: add gold to stash ---
-    goldAmount += amount;
-    updateCounters();
-    queueSaveGameState();
+function clearCamelEntities() {
+    camels.forEach(releaseCamelEntity);
+    camels = [];
 }
 
 /**
- * --- Incremental Loop System: spend gold when affordable ---
- * @param {number} cost - Gold required.
- * @returns {boolean} - True when cost is paid.
+ * --- Herd Visuals: number of counted camels shown in the dune rather than as physics bodies ---
+ * @returns {number} - Camels in the herd pile.
  */
-function spendGold(cost) {
-    if (cost <= 0 || goldAmount < cost) {
-        return false;
-    }
-    // --- Incremental Loop System: deduct gold ---
-    goldAmount -= cost;
-    updateCounters();
-    queueSaveGameState();
-    return true;
+function getHerdPileCount() {
+    return Math.max(0, economy.state.counter - camels.length);
 }
 
 /**
- * --- Incremental Loop System: refresh extended counters ---
+ * --- Herd Visuals: keep physics camels within the herd size and the physics budget ---
+ * Extra camels spent on caravans disappear newest first; camels over the budget
+ * join the dune oldest first, since those have usually settled already.
  */
-function updateIncrementalCounters() {
-    if (resourceElements.grass) {
-        // --- Incremental Loop System: show available grass ---
-        resourceElements.grass.textContent = Math.floor(grassAmount);
-    }
-    if (resourceElements.farms) {
-        // --- Incremental Loop System: show farms count ---
-        resourceElements.farms.textContent = farmCount;
-    }
-    if (resourceElements.grasslands) {
-        // --- Incremental Loop System: show grasslands count ---
-        resourceElements.grasslands.textContent = grasslandCount;
-    }
-    if (resourceElements.caravans) {
-        // --- Incremental Loop System: show caravans count ---
-        resourceElements.caravans.textContent = caravanCount;
+function syncHerdVisuals() {
+    // --- Camel Breeds: bodies of breeds the herd no longer has enough of leave first ---
+    const shown = {};
+    camels.forEach(camel => {
+        shown[camel.breed] = (shown[camel.breed] || 0) + 1;
+    });
+    for (let i = camels.length - 1; i >= 0; i--) {
+        const camel = camels[i];
+        if (shown[camel.breed] > (economy.state.herdBreeds[camel.breed] || 0)) {
+            shown[camel.breed]--;
+            camels.splice(i, 1);
+            releaseCamelEntity(camel);
+        }
     }
-    if (resourceElements.guards) {
-        // --- Incremental Loop System: show guard camps ---
-        resourceElements.guards.textContent = guardCampCount;
+    while (camels.length > economy.state.counter) {
+        releaseCamelEntity(camels.pop());
     }
-    if (resourceElements.nomads) {
-        // --- Incremental Loop System: show prestige tokens ---
-        resourceElements.nomads.textContent = nomadTokens;
+    const overBudget = camels.length - physicsCamelLimit;
+    if (overBudget > 0) {
+        camels.splice(0, overBudget).forEach(releaseCamelEntity);
+        // Whatever rested on the absorbed camels has to fall again
+        wakeAllCamels();
     }
 }
 
 /**
- * --- Incremental Loop System: handle farm purchase button ---
+ * --- Herd Visuals: fold one physics step's cost into the body budget ---
+ * @param {number} stepMs - Milliseconds the step took.
  */
-function handleFarmPurchase() {
-    const cost = 25;
-    if (!spendGold(cost)) {
-        updateStatusMessage('Need more 🪙 for a farm.');
+function measurePhysicsStep(stepMs) {
+    // Too few bodies and the fixed overhead of a step swamps their cost
+    if (camels.length < MIN_PHYSICS_CAMELS) {
         return;
     }
-    // --- Incremental Loop System: add new farm ---
-    farmCount += 1;
-    updateIncrementalCounters();
-    updateStatusMessage('New farm built! 🏡');
-    queueSaveGameState();
+    const msPerCamel = stepMs / camels.length;
+    physicsMsPerCamel = physicsMsPerCamel === 0
+        ? msPerCamel
+        : physicsMsPerCamel + (msPerCamel - physicsMsPerCamel) * PHYSICS_COST_SMOOTHING;
+    physicsStepsSinceReview++;
+    if (physicsStepsSinceReview >= PHYSICS_LIMIT_REVIEW_STEPS) {
+        physicsStepsSinceReview = 0;
+        fitPhysicsCamelLimit();
+    }
 }
 
 /**
- * --- Incremental Loop System: handle grassland purchase button ---
+ * --- Herd Visuals: size the body budget so one step fits the frame budget ---
+ * Shrinking hands the oldest bodies to the dune; growing lets later births fall as bodies.
  */
-function handleGrasslandPurchase() {
-    const cost = 50;
-    if (!spendGold(cost)) {
-        updateStatusMessage('Need more 🪙 for a grassland.');
+function fitPhysicsCamelLimit() {
+    if (physicsMsPerCamel <= 0) {
         return;
     }
-    // --- Incremental Loop System: add new grassland ---
-    grasslandCount += 1;
-    updateIncrementalCounters();
-    updateStatusMessage('Fresh grassland cultivated! 🏕️');
-    queueSaveGameState();
+    const fitted = Math.floor(physicsFrameBudgetMs * PHYSICS_BUDGET_HEADROOM / physicsMsPerCamel);
+    const limit = Math.min(MAX_PHYSICS_CAMELS, Math.max(MIN_PHYSICS_CAMELS, fitted));
+    if (Math.abs(limit - physicsCamelLimit) > physicsCamelLimit * PHYSICS_LIMIT_MIN_CHANGE) {
+        physicsCamelLimit = limit;
+        syncHerdVisuals();
+    }
 }
 
 /**
- * --- Incremental Loop System: handle guard camp purchase button ---
+ * --- Broadphase: change the physics time allowed per frame ---
+ * Larger budgets keep more camels as physics bodies but leave less of each
+ * frame for drawing; the body budget is re-fitted straight away.
+ * @param {number} budgetMs - Milliseconds per frame, clamped to MIN/MAX_PHYSICS_FRAME_BUDGET_MS.
+ * @returns {number} - The budget now in use.
  */
-function handleGuardPurchase() {
-    const cost = 100;
-    if (!spendGold(cost)) {
-        updateStatusMessage('Need more 🪙 for guards.');
-        return;
+function setPhysicsFrameBudget(budgetMs) {
+    if (Number.isFinite(budgetMs)) {
+        physicsFrameBudgetMs = Math.min(MAX_PHYSICS_FRAME_BUDGET_MS, Math.max(MIN_PHYSICS_FRAME_BUDGET_MS, budgetMs));
+        fitPhysicsCamelLimit();
     }
-    // --- Incremental Loop System: add new guard camp ---
-    guardCampCount += 1;
-    updateIncrementalCounters();
-    updateStatusMessage('Guard camp established! 🛡️');
-    queueSaveGameState();
+    return physicsFrameBudgetMs;
 }
 
 /**
- * --- Incremental Loop System: update caravan progress UI ---
+ * --- Herd Visuals: drop physics camels for newly gained ones ---
+ * Player drops always get a body (the oldest camel joins the dune instead);
+ * farm births only fill the free physics budget and go straight to the dune otherwise.
+ * Rarer breeds get the bodies first.
+ * @param {number} amount - Camels gained.
+ * @param {string} source - 'drop' or 'farm'.
+ * @param {Object} breeds - Breed id -> count map of the new camels.
  */
-function updateCaravanProgressBar() {
-    const progressBar = document.getElementById('caravanProgress');
-    const progressFill = document.getElementById('caravanProgressFill');
-    if (!progressBar || !progressFill) {
-        return;
+function spawnHerdCamels(amount, source, breeds) {
+    const room = source === 'drop' ? amount : Math.max(0, physicsCamelLimit - camels.length);
+    const count = Math.min(amount, room, physicsCamelLimit);
+    const breedIds = [];
+    for (let i = CamelBreeds.BREEDS.length - 1; i >= 0 && breedIds.length < count; i--) {
+        const id = CamelBreeds.BREEDS[i].id;
+        for (let j = 0; j < (breeds[id] || 0) && breedIds.length < count; j++) {
+            breedIds.push(id);
+        }
     }
-    if (caravanCount <= 0) {
-        progressBar.classList.add('hidden');
-        progressFill.style.width = '0%';
+    breedIds.forEach(id => createCamelEntity(id));
+    syncHerdVisuals();
+}
+
+/**
+ * --- Camel Breeds: the camel image tinted in a breed's colour ---
+ * @param {Object} breed - Breed from breeds.js.
+ * @returns {CanvasImageSource} - Tinted sprite, or the plain image for untinted breeds or before it loads.
+ */
+function getBreedSprite(breed) {
+    if (!breed.tint || !camelImage.complete || !camelImage.naturalWidth) {
+        return camelImage;
+    }
+    if (!breedSprites[breed.id]) {
+        const sprite = document.createElement('canvas');
+        sprite.width = camelImage.naturalWidth;
+        sprite.height = camelImage.naturalHeight;
+        const spriteCtx = sprite.getContext('2d');
+        spriteCtx.drawImage(camelImage, 0, 0);
+        // Colour only where the camel is, keeping its transparent outline
+        spriteCtx.globalCompositeOperation = 'source-atop';
+        spriteCtx.globalAlpha = BREED_TINT_ALPHA;
+        spriteCtx.fillStyle = breed.tint;
+        spriteCtx.fillRect(0, 0, sprite.width, sprite.height);
+        breedSprites[breed.id] = sprite;
+    }
+    return breedSprites[breed.id];
+}
+
+/**
+ * --- Camel Breeds: collection of every breed with its odds, trait and herd count ---
+ */
+function openBreedsPanel() {
+    if (breedsPanel) {
+        return;
+    }
+    const { body, actions, close } = createModalPanel('Camel Breeds');
+    const render = () => {
+        body.textContent = '';
+        const state = economy.state;
+        const foundCount = CamelBreeds.BREEDS.filter(breed => state.breedsFound[breed.id]).length;
+        const summary = document.createElement('p');
+        summary.textContent = `${foundCount} of ${CamelBreeds.BREEDS.length} breeds found · Herd eats ${Math.ceil(CamelBreeds.getHerdUpkeep(state))} 🌿 per grazing · Caravan gold ×${CamelBreeds.getCaravanGoldMultiplier(state).toFixed(2)}`;
+        body.appendChild(summary);
+        
+        CamelBreeds.BREEDS.forEach(breed => {
+            const found = state.breedsFound[breed.id] > 0;
+            const rarity = CamelBreeds.getRarity(breed.rarity);
+            const row = document.createElement('div');
+            row.className = 'upgrade-row breed-row' + (found ? '' : ' locked');
+            
+            const preview = document.createElement('canvas');
+            preview.className = 'breed-preview' + (found ? '' : ' unknown');
+            preview.width = BREED_PREVIEW_SIZE;
+            preview.height = BREED_PREVIEW_SIZE;
+            if (camelImage.complete) {
+                preview.getContext('2d').drawImage(getBreedSprite(breed), BREED_PREVIEW_SIZE * 0.1, 0, BREED_PREVIEW_SIZE * 0.8, BREED_PREVIEW_SIZE);
+            }
+            
+            const text = document.createElement('div');
+            const title = document.createElement('strong');
+            title.textContent = found ? breed.name : '???';
+            const tier = document.createElement('span');
+            tier.className = 'breed-rarity';
+            tier.style.color = rarity.color;
+            tier.textContent = ` ${rarity.name}`;
+            title.appendChild(tier);
+            const description = document.createElement('p');
+            description.textContent = found ? breed.trait : 'Drop or breed one to learn its trait.';
+            const meta = document.createElement('p');
+            meta.className = 'slot-meta';
+            meta.textContent = `Drops ${(breed.dropChance * 100).toFixed(1)}% · Farms ${(breed.farmChance * 100).toFixed(1)}% · `
+                + `In herd ${(state.herdBreeds[breed.id] || 0).toLocaleString()} · Found ${(state.breedsFound[breed.id] || 0).toLocaleString()}`;
+            text.appendChild(title);
+            text.appendChild(description);
+            text.appendChild(meta);
+            
+            row.appendChild(preview);
+            row.appendChild(text);
+            body.appendChild(row);
+        });
+    };
+    
+    breedsPanel = { render };
+    addModalButton(actions, 'Close', () => {
+        breedsPanel = null;
+        close();
+    });
+    render();
+}
+
+/**
+ * --- Incremental Loop System: refresh extended counters ---
+ */
+function updateIncrementalCounters() {
+    const state = economy.state;
+    if (resourceElements.grass) {
+        // --- Incremental Loop System: show available grass ---
+        resourceElements.grass.textContent = Math.floor(state.grassAmount);
+    }
+    if (resourceElements.health) {
+        // --- Herd Health: percentage, bar and what weakness costs ---
+        const health = state.herdHealth;
+        const counterItem = resourceElements.health.parentElement;
+        resourceElements.health.textContent = `${Math.round(health)}%`;
+        counterItem.querySelector('.progress-fill').style.width = `${health}%`;
+        counterItem.classList.toggle('weak', health < CamelEconomy.WEAK_HERD_HEALTH);
+        counterItem.classList.toggle('dying', health === 0 && state.counter > 0);
+        counterItem.title = health < CamelEconomy.WEAK_HERD_HEALTH
+            ? `Herd health: weak camels breed and trade at ${Math.round(CamelEconomy.getHerdHealthFactor(state) * 100)}%${health === 0 ? ' and are dying' : ''}. Feed them grass!`
+            : 'Herd health: drops while there is not enough grass';
+    }
+    if (resourceElements.farms) {
+        // --- Incremental Loop System: show farms count ---
+        resourceElements.farms.textContent = state.farmCount;
+    }
+    if (resourceElements.grasslands) {
+        // --- Incremental Loop System: show grasslands count ---
+        resourceElements.grasslands.textContent = state.grasslandCount;
+    }
+    if (resourceElements.caravans) {
+        // --- Incremental Loop System: show caravans count ---
+        resourceElements.caravans.textContent = state.caravanCount;
+    }
+    if (resourceElements.guards) {
+        // --- Incremental Loop System: show guard camps ---
+        resourceElements.guards.textContent = state.guardCampCount;
+    }
+    if (resourceElements.nomads) {
+        // --- Incremental Loop System: show prestige tokens ---
+        resourceElements.nomads.textContent = state.nomadTokens;
+    }
+}
+
+/**
+ * --- Building Registry: show each building's exact batch price and lock state ---
+ */
+function updateBuildingButtons() {
+    Object.keys(buildingButtons).forEach(id => {
+        const { button, badge } = buildingButtons[id];
+        const building = CamelBuildings.getBuilding(id);
+        const owned = economy.state[building.countKey];
+        if (!economy.isBuildingUnlocked(id)) {
+            button.classList.add('disabled');
+            button.title = `${building.name} (locked): ${building.unlockHint}`;
+            badge.textContent = '🔒';
+            return;
+        }
+        
+        const order = getBuildingOrder(id);
+        // ×max with nothing affordable still previews the next single building
+        const shownQuantity = order.quantity || 1;
+        const shownCost = order.quantity ? order.cost : economy.getBuildingCost(id, 1);
+        button.classList.toggle('disabled', order.quantity === 0 || economy.state.goldAmount < shownCost);
+        button.title = `${building.name} (own ${owned}): each ${building.effect}. Buy ×${shownQuantity} for ${shownCost} 🪙.`;
+        badge.textContent = `${shownCost}🪙`;
+    });
+}
+
+/**
+ * --- Building Registry: how many the current buy mode would purchase, and for how much ---
+ * @param {string} id - Building id.
+ * @returns {{quantity: number, cost: number}} - Batch size and its exact total.
+ */
+function getBuildingOrder(id) {
+    const amount = BUY_AMOUNTS[buyAmountIndex];
+    if (amount === 'max') {
+        return economy.getMaxAffordableBuildings(id);
+    }
+    return { quantity: amount, cost: economy.getBuildingCost(id, amount) };
+}
+
+/**
+ * --- Building Registry: buy the current batch of a building ---
+ * @param {string} id - Building id.
+ */
+function handleBuildingPurchase(id) {
+    const building = CamelBuildings.getBuilding(id);
+    if (!economy.isBuildingUnlocked(id)) {
+        logEvent('purchases', `${building.name} locked: ${building.unlockHint}`);
+        return;
+    }
+    const order = getBuildingOrder(id);
+    if (order.quantity === 0 || !economy.purchaseBuilding(id, order.quantity)) {
+        logEvent('purchases', `Need more 🪙 for ${order.quantity > 1 ? `${order.quantity} ${building.name.toLowerCase()}s` : `a ${building.name.toLowerCase()}`}.`);
+    }
+}
+
+/**
+ * --- Building Registry: switch between ×1, ×10 and ×max ---
+ */
+function cycleBuyAmount() {
+    buyAmountIndex = (buyAmountIndex + 1) % BUY_AMOUNTS.length;
+    buyAmountButton.querySelector('span').textContent = `×${BUY_AMOUNTS[buyAmountIndex]}`;
+    updateBuildingButtons();
+}
+
+/**
+ * --- Caravan Routes: one progress bar per route with caravans on it ---
+ */
+function updateRouteProgressBars() {
+    if (!routeProgressContainer) {
+        return;
+    }
+    const state = economy.state;
+    CamelRoutes.ROUTES.forEach(route => {
+        const caravans = state.caravanRoutes[route.id] || 0;
+        let bar = routeProgressBars[route.id];
+        if (!bar) {
+            if (caravans === 0) {
+                return;
+            }
+            const row = document.createElement('div');
+            row.className = 'route-progress';
+            const label = document.createElement('span');
+            label.className = 'route-progress-label';
+            const track = document.createElement('div');
+            track.className = 'progress-bar';
+            const fill = document.createElement('div');
+            fill.className = 'progress-fill';
+            track.appendChild(fill);
+            row.appendChild(label);
+            row.appendChild(track);
+            routeProgressContainer.appendChild(row);
+            bar = routeProgressBars[route.id] = { row, label, fill };
+        }
+        
+        bar.row.classList.toggle('hidden', caravans === 0);
+        if (caravans === 0) {
+            return;
+        }
+        const elapsed = state.routeTimers[route.id] || 0;
+        const waiting = route.cargo > 0 && !(state.routeCargo[route.id] > 0);
+        const speed = CamelWeather.getCaravanSpeed(state);
+        bar.label.textContent = `${route.icon}×${caravans}`;
+        bar.fill.style.width = `${Math.min(elapsed / route.travelSeconds * 100, 100)}%`;
+        bar.row.classList.toggle('waiting', waiting);
+        bar.row.title = waiting
+            ? `${route.name}: waiting for ${route.cargo * caravans} 🌿 of provisions`
+            : `${route.name}: back in ${formatDuration((route.travelSeconds - elapsed) / speed)}${speed < 1 ? ' (slowed by the weather)' : ''}`;
+    });
+}
+
+/**
+ * --- Day/Night & Weather: show the running weather event and the time it has left ---
+ */
+function updateWeatherIndicator() {
+    if (!resourceElements.weather) {
+        return;
+    }
+    const weather = CamelWeather.getActiveWeather(economy.state);
+    const counterItem = resourceElements.weather.parentElement;
+    counterItem.querySelector('.counter-icon').textContent = weather ? weather.icon : '☀️';
+    counterItem.title = weather ? `${weather.name}: ${weather.announcement}` : 'Clear skies';
+    resourceElements.weather.textContent = weather ? formatDuration(economy.state.weather[weather.id]) : 'Clear';
+}
+
+/**
+ * --- Incremental Loop System: enable prestige button when unlocked ---
+ */
+function updateNomadButtonState() {
+    if (!nomadButton) {
+        return;
+    }
+    if (economy.canMigrate()) {
+        // --- Incremental Loop System: prestige available ---
+        nomadButton.classList.remove('disabled');
+        nomadButton.title = 'Nomad Migration ready!';
+    } else {
+        // --- Incremental Loop System: prestige locked ---
+        nomadButton.classList.add('disabled');
+        nomadButton.title = 'Reach 1000 camels or 100 caravans to unlock.';
+    }
+}
+
+/**
+ * --- Incremental Loop System: trigger prestige reset ---
+ */
+function handleNomadMigration() {
+    if (!nomadButton || nomadButton.classList.contains('disabled')) {
+        return;
+    }
+    // --- Incremental Loop System: tokens, reset and UI refresh come from the economy ---
+    economy.migrate();
+}
+
+/**
+ * --- Incremental Loop System: persist state with throttling ---
+ */
+function queueSaveGameState() {
+    if (saveThrottleTimeout) {
+        clearTimeout(saveThrottleTimeout);
+    }
+    // --- Incremental Loop System: debounce saves for performance ---
+    saveThrottleTimeout = setTimeout(saveGameState, 500);
+}
+
+/**
+ * --- Incremental Loop System: write current state to localStorage ---
+ */
+function saveGameState() {
+    const payload = buildSavePayload();
+    try {
+        localStorage.setItem(activeStorageKey(), JSON.stringify(payload));
+    } catch (error) {
+        console.error('Failed to save game state:', error);
+    }
+    // --- Save Recovery: refresh the backups every few minutes of play ---
+    if (payload.lastSavedAt - lastBackupTime >= SAVE_BACKUP_INTERVAL_MS) {
+        pushSaveBackup(payload);
+    }
+    saveThrottleTimeout = null;
+}
+
+/**
+ * --- Incremental Loop System: cancel any queued save and write right away ---
+ */
+function flushSaveGameState() {
+    if (saveThrottleTimeout) {
+        clearTimeout(saveThrottleTimeout);
+    }
+    saveGameState();
+}
+
+/**
+ * --- Save Format: snapshot everything a save needs (see save.js) ---
+ * @returns {Object} - SavePayload at the current schema version.
+ */
+function buildSavePayload() {
+    return {
+        version: CamelSave.SAVE_VERSION,
+        lastSavedAt: Date.now(),
+        economy: Object.assign({}, economy.state),
+        visualRngState: visualRandom.state,
+        achievements: achievementState,
+        stats: statsState,
+        eventLog: eventLog.entries
+    };
+}
+
+/**
+ * --- Incremental Loop System: restore saved progress ---
+ * @param {Object} [options] - { catchUp: false } skips offline progress, see applySavePayload.
+ */
+function loadGameState(options = {}) {
+    // --- Save Format: the default slot falls back to the pre-versioning key once ---
+    const storageKey = activeStorageKey();
+    let stored = null;
+    try {
+        stored = localStorage.getItem(storageKey);
+        if (!stored && storageKey === STORAGE_KEY) {
+            stored = localStorage.getItem(LEGACY_STORAGE_KEY);
+        }
+    } catch (error) {
+        // --- Save Recovery: blocked storage starts a fresh game instead of stopping init ---
+        console.error('Failed to read game state:', error);
+        return;
+    }
+    if (!stored) {
+        return;
+    }
+    
+    try {
+        // --- Save Format: upgrade older saves, then validate before hydrating ---
+        const { payload, issues } = CamelSave.readSave(stored);
+        if (issues.length > 0) {
+            console.warn('Corrected save values:', issues);
+        }
+        applySavePayload(payload, options);
+        pushSaveBackup(payload);
+        if (issues.length > 0) {
+            showSaveNotice('Save repaired', [
+                'Some saved values were out of range and have been corrected:',
+                ...issues
+            ]);
+        }
+        return;
+    } catch (error) {
+        console.error('Failed to load game state:', error);
+        try {
+            localStorage.setItem(storageKey + CORRUPT_KEY_SUFFIX, stored);
+        } catch (stashError) {
+            console.error('Failed to keep corrupted save:', stashError);
+        }
+    }
+    
+    restoreNewestBackup(options);
+}
+
+/**
+ * --- Save Recovery: read the stored backups, newest first ---
+ * @returns {Array<{backedUpAt: number, payload: Object}>} - Backups, possibly empty.
+ */
+function readSaveBackups() {
+    try {
+        const backups = JSON.parse(localStorage.getItem(activeStorageKey() + BACKUP_KEY_SUFFIX) || '[]');
+        return Array.isArray(backups) ? backups : [];
+    } catch (error) {
+        console.error('Failed to read save backups:', error);
+        return [];
+    }
+}
+
+/**
+ * --- Save Recovery: add a known-good save to the rolling backups ---
+ * Saves that fail validation are never backed up, and a save is skipped when
+ * the newest backup is recent or holds the same game, so quick reloads cannot
+ * push the older backups out.
+ * @param {Object} payload - SavePayload to back up.
+ */
+function pushSaveBackup(payload) {
+    try {
+        const { issues } = CamelSave.validateSave(JSON.parse(JSON.stringify(payload)));
+        if (issues.length > 0) {
+            console.warn('Not backing up a save with out-of-range values:', issues);
+            return;
+        }
+    } catch (error) {
+        console.warn('Not backing up an invalid save:', error);
+        return;
+    }
+    
+    const backups = readSaveBackups();
+    const newest = backups[0];
+    if (newest && newest.payload) {
+        const recent = Date.now() - newest.backedUpAt < SAVE_BACKUP_INTERVAL_MS;
+        // lastSavedAt changes on every save, so it does not make two games different
+        const sameGame = JSON.stringify(Object.assign({}, newest.payload, { lastSavedAt: 0 }))
+            === JSON.stringify(Object.assign({}, payload, { lastSavedAt: 0 }));
+        if (recent || sameGame) {
+            lastBackupTime = recent ? newest.backedUpAt : Date.now();
+            return;
+        }
+    }
+    backups.unshift({ backedUpAt: Date.now(), payload });
+    try {
+        localStorage.setItem(activeStorageKey() + BACKUP_KEY_SUFFIX, JSON.stringify(backups.slice(0, MAX_SAVE_BACKUPS)));
+        lastBackupTime = Date.now();
+    } catch (error) {
+        console.error('Failed to write save backup:', error);
+    }
+}
+
+/**
+ * --- Save Recovery: load the most recent backup that still validates ---
+ * @param {Object} [options] - Passed on to applySavePayload.
+ */
+function restoreNewestBackup(options = {}) {
+    const backups = readSaveBackups();
+    for (let i = 0; i < backups.length; i++) {
+        try {
+            const { payload } = CamelSave.readSave(JSON.stringify(backups[i].payload));
+            applySavePayload(payload, options);
+            showSaveNotice('Save recovered', [
+                'Your save could not be read, so the game restored a backup.',
+                `Backup from ${new Date(backups[i].backedUpAt).toLocaleString()}.`
+            ]);
+            queueSaveGameState();
+            return;
+        } catch (error) {
+            console.error('Skipping unreadable save backup:', error);
+        }
+    }
+    showSaveNotice('Save lost', [
+        'Your save could not be read and no backup was usable, so the dunes start fresh.'
+    ]);
+}
+
+/**
+ * --- Save Recovery: tell the player what happened to their save ---
+ * @param {string} title - Panel heading.
+ * @param {string[]} lines - Paragraphs to show.
+ */
+function showSaveNotice(title, lines) {
+    const { body, actions, close } = createModalPanel(title);
+    lines.forEach(line => {
+        const row = document.createElement('p');
+        row.textContent = line;
+        body.appendChild(row);
+    });
+    addModalButton(actions, 'OK', close);
+}
+
+/**
+ * --- Save Slots: storage key holding a slot's save ---
+ * @param {string} slotId - Slot identifier.
+ * @returns {string} - localStorage key.
+ */
+function slotStorageKey(slotId) {
+    return slotId === DEFAULT_SLOT_ID ? STORAGE_KEY : `${STORAGE_KEY}.slot.${slotId}`;
+}
+
+/**
+ * --- Save Slots: storage key of the slot being played ---
+ * @returns {string} - localStorage key.
+ */
+function activeStorageKey() {
+    return slotStorageKey(slotIndex ? slotIndex.activeSlotId : DEFAULT_SLOT_ID);
+}
+
+/**
+ * --- Save Slots: read the slot index, creating the default slot on first run ---
+ */
+function loadSlotIndex() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SLOT_INDEX_STORAGE_KEY));
+        if (stored && Array.isArray(stored.slots) && stored.slots.some(slot => slot.id === stored.activeSlotId)) {
+            slotIndex = stored;
+            return;
+        }
+    } catch (error) {
+        console.error('Failed to read save slots:', error);
+    }
+    slotIndex = {
+        activeSlotId: DEFAULT_SLOT_ID,
+        slots: [{ id: DEFAULT_SLOT_ID, name: 'Main herd', createdAt: Date.now() }]
+    };
+    writeSlotIndex();
+}
+
+/**
+ * --- Save Slots: persist the slot index ---
+ */
+function writeSlotIndex() {
+    try {
+        localStorage.setItem(SLOT_INDEX_STORAGE_KEY, JSON.stringify(slotIndex));
+    } catch (error) {
+        console.error('Failed to write save slots:', error);
+    }
+}
+
+/**
+ * --- Save Slots: add a slot entry with a fresh identifier ---
+ * @param {string} name - Display name.
+ * @returns {Object} - The new slot entry.
+ */
+function addSlot(name) {
+    let id = `slot-${Date.now().toString(36)}`;
+    while (slotIndex.slots.some(slot => slot.id === id)) {
+        id += 'x';
+    }
+    const slot = { id, name, createdAt: Date.now() };
+    slotIndex.slots.push(slot);
+    writeSlotIndex();
+    return slot;
+}
+
+/**
+ * --- Save Slots: summary of a slot's save for the picker ---
+ * @param {Object} slot - Slot entry.
+ * @returns {Object|null} - describeSave() result, or null for empty or unreadable slots.
+ */
+function describeSlot(slot) {
+    try {
+        const stored = localStorage.getItem(slotStorageKey(slot.id));
+        return stored ? CamelSave.describeSave(CamelSave.readSave(stored).payload) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * --- Save Slots: save the current herd and start playing another slot ---
+ * @param {string} slotId - Slot to switch to.
+ */
+function switchToSlot(slotId) {
+    flushSaveGameState();
+    slotIndex.activeSlotId = slotId;
+    writeSlotIndex();
+    
+    // --- Save Slots: an unfinished encounter stays queued in the old slot's save ---
+    cancelRaidEncounter();
+    
+    // --- Save Slots: empty slots start from a brand new economy ---
+    economy.load();
+    restoreVisualRandom();
+    achievementState = CamelAchievements.createAchievementState();
+    statsState = CamelStats.createStatsState();
+    eventLog = CamelEventLog.createEventLog();
+    clearCamelEntities();
+    lastBackupTime = 0;
+    // --- Save Slots: a slot left in the picker does not earn while another is played ---
+    loadGameState({ catchUp: false });
+    
+    startResourceLoop();
+    refreshEconomyUI();
+    saveGameState();
+    const slot = slotIndex.slots.find(entry => entry.id === slotId);
+    logEvent('milestones', `Now playing "${slot.name}" 🗂️`);
+}
+
+/**
+ * --- Save Slots: show every slot with create, rename, duplicate, delete and switch ---
+ */
+function openSaveSlotsPanel() {
+    // --- Save Slots: make sure the active slot's summary is current ---
+    flushSaveGameState();
+    const { body, actions, close } = createModalPanel('Save slots');
+    const reopen = () => {
+        close();
+        openSaveSlotsPanel();
+    };
+    
+    slotIndex.slots.forEach(slot => {
+        const isActive = slot.id === slotIndex.activeSlotId;
+        const summary = describeSlot(slot);
+        
+        const row = document.createElement('div');
+        row.className = 'slot-row' + (isActive ? ' active' : '');
+        
+        const title = document.createElement('strong');
+        title.textContent = isActive ? `${slot.name} (playing)` : slot.name;
+        const details = document.createElement('p');
+        details.textContent = summary
+            ? `🐪 ${summary.camels}  🪙 ${summary.gold}  🏕️ ${summary.caravans}  🔄 ${summary.nomadTokens}`
+            : 'Empty slot';
+        const lastPlayed = document.createElement('p');
+        lastPlayed.className = 'slot-meta';
+        lastPlayed.textContent = summary && summary.lastSavedAt
+            ? `Last played ${new Date(summary.lastSavedAt).toLocaleString()}`
+            : `Created ${new Date(slot.createdAt).toLocaleString()}`;
+        
+        const rowActions = document.createElement('div');
+        rowActions.className = 'modal-actions';
+        if (!isActive) {
+            addModalButton(rowActions, 'Load', () => {
+                close();
+                switchToSlot(slot.id);
+            });
+        }
+        addModalButton(rowActions, 'Rename', () => {
+            const name = prompt('Rename slot', slot.name);
+            if (name && name.trim()) {
+                slot.name = name.trim();
+                writeSlotIndex();
+                reopen();
+            }
+        });
+        addModalButton(rowActions, 'Duplicate', () => {
+            const copy = addSlot(`${slot.name} (copy)`);
+            try {
+                const stored = localStorage.getItem(slotStorageKey(slot.id));
+                if (stored) {
+                    localStorage.setItem(slotStorageKey(copy.id), stored);
+                }
+            } catch (error) {
+                console.error('Failed to duplicate save slot:', error);
+            }
+            reopen();
+        });
+        const deleteButton = addModalButton(rowActions, 'Delete', () => {
+            if (!confirm(`Delete "${slot.name}"? This cannot be undone.`)) {
+                return;
+            }
+            const key = slotStorageKey(slot.id);
+            try {
+                [key, key + BACKUP_KEY_SUFFIX, key + CORRUPT_KEY_SUFFIX].forEach(entry => localStorage.removeItem(entry));
+            } catch (error) {
+                console.error('Failed to delete save slot:', error);
+                logEvent('milestones', `Could not delete "${slot.name}": storage is unavailable.`);
+                return;
+            }
+            slotIndex.slots = slotIndex.slots.filter(entry => entry.id !== slot.id);
+            writeSlotIndex();
+            reopen();
+        });
+        // --- Save Slots: the slot being played cannot be deleted ---
+        deleteButton.disabled = isActive;
+        
+        row.appendChild(title);
+        row.appendChild(details);
+        row.appendChild(lastPlayed);
+        row.appendChild(rowActions);
+        body.appendChild(row);
+    });
+    
+    addModalButton(actions, 'New slot', () => {
+        const name = prompt('Name the new slot', `Herd ${slotIndex.slots.length + 1}`);
+        if (!name || !name.trim()) {
+            return;
+        }
+        const slot = addSlot(name.trim());
+        close();
+        switchToSlot(slot.id);
+    });
+    addModalButton(actions, 'Close', close);
+}
+
+/**
+ * --- Nomad Upgrades: browse the upgrade tree and spend tokens ---
+ * The panel re-renders on every economy refresh while open, so prices and
+ * locks follow migrations and purchases.
+ */
+function openUpgradeShopPanel() {
+    if (upgradeShopPanel) {
+        return;
+    }
+    const { body, actions, close } = createModalPanel('Nomad upgrades');
+    const render = () => {
+        const state = economy.state;
+        body.textContent = '';
+        
+        const balance = document.createElement('p');
+        balance.textContent = `🔄 ${state.nomadTokens} Nomad Tokens to spend. Unspent tokens still add 1% caravan gold each.`;
+        body.appendChild(balance);
+        
+        CamelUpgrades.NOMAD_UPGRADES.forEach(upgrade => {
+            const level = CamelUpgrades.getUpgradeLevel(state, upgrade.id);
+            const maxLevel = upgrade.costs.length;
+            const cost = CamelUpgrades.getUpgradeCost(state, upgrade.id);
+            const unlocked = CamelUpgrades.isUpgradeUnlocked(state, upgrade.id);
+            
+            const row = document.createElement('div');
+            row.className = 'upgrade-row' + (unlocked ? '' : ' locked') + (cost === null ? ' maxed' : '');
+            
+            const title = document.createElement('strong');
+            title.textContent = `${upgrade.icon} ${upgrade.name} (${level}/${maxLevel})`;
+            const description = document.createElement('p');
+            description.textContent = upgrade.description;
+            const requirement = document.createElement('p');
+            requirement.className = 'slot-meta';
+            if (!unlocked) {
+                const names = upgrade.requires.map(id => CamelUpgrades.getUpgrade(id).name);
+                requirement.textContent = `Requires ${names.join(' and ')}`;
+            } else {
+                requirement.textContent = cost === null ? 'Fully upgraded' : `Next level: ${cost} 🔄`;
+            }
+            
+            const rowActions = document.createElement('div');
+            rowActions.className = 'modal-actions';
+            const buyButton = addModalButton(rowActions, 'Buy', () => {
+                economy.purchaseUpgrade(upgrade.id);
+            });
+            buyButton.disabled = !unlocked || cost === null || state.nomadTokens < cost;
+            
+            row.appendChild(title);
+            row.appendChild(description);
+            row.appendChild(requirement);
+            row.appendChild(rowActions);
+            body.appendChild(row);
+        });
+    };
+    
+    upgradeShopPanel = { render };
+    addModalButton(actions, 'Close', () => {
+        upgradeShopPanel = null;
+        close();
+    });
+    render();
+}
+
+/**
+ * --- Trade Market: prices of every good with sell and buy buttons per lot size ---
+ */
+function openMarketPanel() {
+    if (marketPanel) {
+        return;
+    }
+    const { body, actions, close } = createModalPanel('Trade market');
+    const render = () => {
+        const state = economy.state;
+        body.textContent = '';
+        
+        const balance = document.createElement('p');
+        balance.textContent = `🪙 ${state.goldAmount} gold. Prices drift over time, fall as you sell and climb as you buy.`;
+        body.appendChild(balance);
+        
+        CamelMarket.GOODS.forEach(good => {
+            const factor = state.marketPrices[good.id];
+            const owned = state[good.countKey];
+            const row = document.createElement('div');
+            row.className = 'upgrade-row';
+            
+            const title = document.createElement('strong');
+            title.textContent = `${good.icon} ${good.name} (you have ${owned})`;
+            const price = document.createElement('p');
+            const trend = Math.round((factor - 1) * 100);
+            price.textContent = `Sells for ${CamelMarket.getUnitPrice(good, factor, 'sell').toFixed(3)} 🪙 each`
+                + (good.buyable ? `, buys for ${CamelMarket.getUnitPrice(good, factor, 'buy').toFixed(3)} 🪙 each` : '');
+            const meta = document.createElement('p');
+            meta.className = 'slot-meta';
+            meta.textContent = trend === 0 ? 'At the usual price' : `${trend > 0 ? '▲' : '▼'} ${Math.abs(trend)}% ${trend > 0 ? 'above' : 'below'} the usual price`;
+            
+            const sellActions = document.createElement('div');
+            sellActions.className = 'modal-actions';
+            good.lots.forEach(quantity => {
+                const gold = economy.getSaleQuote(good.id, quantity);
+                const sellButton = addModalButton(sellActions, `Sell ${quantity} for ${gold} 🪙`, () => {
+                    economy.sellGoods(good.id, quantity);
+                });
+                sellButton.disabled = owned < quantity || gold <= 0;
+            });
+            
+            row.appendChild(title);
+            row.appendChild(price);
+            row.appendChild(meta);
+            row.appendChild(sellActions);
+            if (good.buyable) {
+                const buyActions = document.createElement('div');
+                buyActions.className = 'modal-actions';
+                good.lots.forEach(quantity => {
+                    const cost = economy.getPurchaseQuote(good.id, quantity);
+                    const buyButton = addModalButton(buyActions, `Buy ${quantity} for ${cost} 🪙`, () => {
+                        economy.buyGoods(good.id, quantity);
+                    });
+                    buyButton.disabled = state.goldAmount < cost;
+                });
+                row.appendChild(buyActions);
+            }
+            body.appendChild(row);
+        });
+    };
+    
+    marketPanel = { render };
+    addModalButton(actions, 'Close', () => {
+        marketPanel = null;
+        close();
+    });
+    render();
+}
+
+/**
+ * --- Save Format: hydrate the game from a migrated payload ---
+ * @param {Object} payload - SavePayload at the current schema version.
+ * @param {Object} [options] - { catchUp: false } skips offline progress; only the
+ *     game that was open when the page was closed earns for the time away.
+ */
+function applySavePayload(payload, options = {}) {
+    economy.load(payload.economy);
+    restoreVisualRandom(payload.visualRngState);
+    achievementState = CamelAchievements.createAchievementState(payload.achievements);
+    statsState = CamelStats.createStatsState(payload.stats);
+    eventLog = CamelEventLog.createEventLog(payload.eventLog);
+    renderEventLog();
+    clearCamelEntities();
+    
+    // --- Raid Encounters: raids left unfinished when the save was written settle on their own ---
+    cancelRaidEncounter();
+    autoResolveRaids();
+    
+    // --- Offline Progress: replay the time the tab was closed ---
+    if (options.catchUp !== false && Number.isFinite(payload.lastSavedAt)) {
+        const summary = simulateOfflineProgress((Date.now() - payload.lastSavedAt) / 1000);
+        showOfflineSummary(summary);
+    }
+}
+
+/**
+ * --- Seedable Random: rebuild the visual stream from the economy seed ---
+ * Camel placement and collision spin draw from their own stream so dropping
+ * camels never shifts the raids and payouts of the economy stream.
+ * @param {number} [savedState] - Saved visualRngState, if any.
+ */
+function restoreVisualRandom(savedState) {
+    const seed = (economy.state.rngSeed ^ VISUAL_SEED_SALT) >>> 0;
+    visualRandom = CamelRandom.createRandom(seed, savedState);
+}
+
+/**
+ * --- Offline Progress: fast-forward the economy through elapsed time ---
+ * @param {number} elapsedSeconds - Wall-clock seconds since the last save.
+ * @returns {Object|null} - Tally of what happened, or null when nothing was simulated.
+ */
+function simulateOfflineProgress(elapsedSeconds) {
+    const summary = economy.simulate(elapsedSeconds, {
+        maxSeconds: OFFLINE_PROGRESS_MAX_SECONDS,
+        stepSeconds: OFFLINE_SIMULATION_STEP
+    });
+    if (summary) {
+        // Catch-up events skip the live herd handlers, so match the bodies to the new herd here
+        syncHerdVisuals();
+        refreshEconomyUI();
+        queueSaveGameState();
+    }
+    return summary;
+}
+
+/**
+ * --- Offline Progress: format a duration as hours and minutes ---
+ * @param {number} seconds - Duration in seconds.
+ * @returns {string} - Human readable duration.
+ */
+function formatDuration(seconds) {
+    const totalMinutes = Math.floor(seconds / 60);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    if (hours > 0) {
+        return `${hours}h ${minutes}m`;
+    }
+    if (totalMinutes > 0) {
+        return `${minutes}m`;
+    }
+    return `${Math.floor(seconds)}s`;
+}
+
+/**
+ * --- Offline Progress: build a modal panel on top of the game ---
+ * @param {string} title - Heading shown at the top of the panel.
+ * @returns {{overlay: HTMLElement, body: HTMLElement, actions: HTMLElement, close: Function}} - Panel parts.
+ */
+function createModalPanel(title) {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    
+    const panel = document.createElement('div');
+    panel.className = 'modal-panel';
+    
+    const heading = document.createElement('h2');
+    heading.textContent = title;
+    
+    const body = document.createElement('div');
+    body.className = 'modal-body';
+    
+    const actions = document.createElement('div');
+    actions.className = 'modal-actions';
+    
+    panel.appendChild(heading);
+    panel.appendChild(body);
+    panel.appendChild(actions);
+    overlay.appendChild(panel);
+    document.body.appendChild(overlay);
+    
+    const close = () => overlay.remove();
+    return { overlay, body, actions, close };
+}
+
+/**
+ * --- Offline Progress: add a text button to a modal's action row ---
+ * @param {HTMLElement} actions - The modal action row.
+ * @param {string} label - Button text.
+ * @param {Function} onClick - Click handler.
+ * @returns {HTMLButtonElement} - The created button.
+ */
+function addModalButton(actions, label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'modal-button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    actions.appendChild(button);
+    return button;
+}
+
+/**
+ * --- Offline Progress: show the "while you were away" summary ---
+ * @param {Object|null} summary - Tally returned by simulateOfflineProgress.
+ */
+function showOfflineSummary(summary) {
+    if (!summary || summary.elapsedSeconds < OFFLINE_PROGRESS_MIN_SECONDS) {
+        return;
+    }
+    if (offlineSummaryPanel) {
+        offlineSummaryPanel.close();
+    }
+    
+    offlineSummaryPanel = createModalPanel('While you were away');
+    const { body, actions } = offlineSummaryPanel;
+    const lines = [];
+    if (summary.simulatedSeconds < summary.elapsedSeconds) {
+        lines.push(`You were gone ${formatDuration(summary.elapsedSeconds)}; the herd kept busy for ${formatDuration(summary.simulatedSeconds)}.`);
+    } else {
+        lines.push(`You were gone ${formatDuration(summary.elapsedSeconds)}.`);
+    }
+    
+    const gains = [
+        [summary.camelsBred, '🐪 bred'],
+        [summary.grassGrown, '🌿 grown'],
+        [summary.goldHauled, '🪙 hauled by caravans']
+    ];
+    const losses = [
+        [summary.grassEaten, '🌿 eaten'],
+        [summary.goldStolen, '🪙 stolen by bandits'],
+        [summary.caravansLost, 'caravans lost'],
+        [summary.camelsStarved, '🐪 starved']
+    ];
+    gains.filter(([amount]) => amount > 0).forEach(([amount, label]) => lines.push(`+${amount} ${label}`));
+    losses.filter(([amount]) => amount > 0).forEach(([amount, label]) => lines.push(`-${amount} ${label}`));
+    if (summary.raids > 0) {
+        lines.push(`Bandits raided ${summary.raids} time${summary.raids === 1 ? '' : 's'} 💀`);
+    }
+    if (lines.length === 1) {
+        lines.push('The dunes were quiet. Build farms and caravans to earn while away.');
+    }
+    
+    lines.forEach(line => {
+        const row = document.createElement('p');
+        row.textContent = line;
+        body.appendChild(row);
+    });
+    addModalButton(actions, 'Back to the dunes', () => {
+        offlineSummaryPanel.close();
+        offlineSummaryPanel = null;
+    });
+}
+
+/**
+ * --- Save Codes: export the current game or import one from elsewhere ---
+ */
+function openSaveCodePanel() {
+    const { body, actions, close } = createModalPanel('Save code');
+    
+    const exportLabel = document.createElement('p');
+    exportLabel.textContent = 'Copy this code to move your herd to another browser:';
+    const exportField = document.createElement('textarea');
+    exportField.className = 'modal-textarea';
+    exportField.readOnly = true;
+    exportField.value = 'Packing the saddlebags…';
+    
+    const importLabel = document.createElement('p');
+    importLabel.textContent = 'Or paste a code to load it:';
+    const importField = document.createElement('textarea');
+    importField.className = 'modal-textarea';
+    importField.placeholder = 'CAMEL.…';
+    
+    const feedback = document.createElement('p');
+    feedback.className = 'modal-feedback';
+    
+    body.appendChild(exportLabel);
+    body.appendChild(exportField);
+    body.appendChild(importLabel);
+    body.appendChild(importField);
+    body.appendChild(feedback);
+    
+    const copyButton = addModalButton(actions, 'Copy code', () => {
+        exportField.select();
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(exportField.value).catch(e => console.log('Clipboard error:', e));
+        }
+        feedback.textContent = 'Code copied.';
+    });
+    copyButton.disabled = true;
+    addModalButton(actions, 'Import…', () => previewSaveCode(importField.value, feedback, close));
+    addModalButton(actions, 'Close', close);
+    
+    CamelSave.encodeSaveCode(buildSavePayload()).then(code => {
+        exportField.value = code;
+        copyButton.disabled = false;
+    }).catch(error => {
+        console.error('Failed to export save code:', error);
+        exportField.value = '';
+        feedback.textContent = 'Could not create a save code in this browser.';
+    });
+}
+
+/**
+ * --- Save Codes: decode a pasted code and ask before replacing the herd ---
+ * @param {string} code - Text from the import field.
+ * @param {HTMLElement} feedback - Element for error messages.
+ * @param {Function} closeParent - Closes the save code panel on success.
+ */
+function previewSaveCode(code, feedback, closeParent) {
+    if (!code.trim()) {
+        feedback.textContent = 'Paste a save code first.';
+        return;
+    }
+    feedback.textContent = 'Checking code…';
+    CamelSave.decodeSaveCode(code).then(({ payload, issues }) => {
+        feedback.textContent = '';
+        const summary = CamelSave.describeSave(payload);
+        const current = CamelSave.describeSave(buildSavePayload());
+        const { body, actions, close } = createModalPanel('Load this save?');
+        [
+            `Saved ${summary.lastSavedAt ? new Date(summary.lastSavedAt).toLocaleString() : 'at an unknown time'}`,
+            `🐪 ${summary.camels} camels (you have ${current.camels})`,
+            `🪙 ${summary.gold} gold (you have ${current.gold})`,
+            `🏕️ ${summary.caravans} caravans (you have ${current.caravans})`,
+            `🔄 ${summary.nomadTokens} nomad tokens (you have ${current.nomadTokens})`,
+            ...(issues.length > 0 ? [`${issues.length} out-of-range value(s) will be corrected.`] : []),
+            'Your current progress will be replaced.'
+        ].forEach(line => {
+            const row = document.createElement('p');
+            row.textContent = line;
+            body.appendChild(row);
+        });
+        addModalButton(actions, 'Replace my herd', () => {
+            close();
+            closeParent();
+            // --- Save Codes: a code does not earn for the time since it was exported ---
+            applySavePayload(payload, { catchUp: false });
+            refreshEconomyUI();
+            saveGameState();
+            logEvent('milestones', 'Save imported! 💾');
+        });
+        addModalButton(actions, 'Cancel', close);
+    }).catch(error => {
+        feedback.textContent = error.message;
+    });
+}
+
+/**
+ * Start the game and spawn first camel
+ */
+function startGame() {
+    // --- Audio Manager: the drop button is a gesture, so music can start here ---
+    audioManager.unlock();
+    spawnCamel();
+}
+
+/**
+ * Spawn a new camel
+ */
+function spawnCamel() {
+    // Check if image is loaded
+    if (!camelImage.complete) {
+        alert('Please wait for the camel image to load!');
+        return;
+    }
+    economy.gainCamels(1, 'drop');
+}
+
+/**
+ * --- Rigid Bodies: oriented box of a camel in world space ---
+ * Mirrors the transform in renderCamels(): translate to the anchor, rotate, scale.
+ * @param {Object} camel - Camel entity.
+ * @returns {Object} - Centre, half extents, axis cos/sin, AABB extents and mass properties.
+ */
+function getCamelBox(camel) {
+    const cos = Math.cos(camel.rotation);
+    const sin = Math.sin(camel.rotation);
+    const offsetX = (camel.width / 2 - camel.anchorX) * camel.scale;
+    const offsetY = (camel.height / 2 - camel.anchorY) * camel.scale;
+    const halfWidth = camel.width * camel.scale / 2;
+    const halfHeight = camel.height * camel.scale / 2;
+    const mass = camel.scale * camel.scale;
+    const movable = !camel.asleep && camel.grabbedBy === null;
+    return {
+        centerX: camel.x + camel.anchorX + offsetX * cos - offsetY * sin,
+        centerY: camel.y + camel.anchorY + offsetX * sin + offsetY * cos,
+        halfWidth,
+        halfHeight,
+        cos,
+        sin,
+        extentX: Math.abs(cos) * halfWidth + Math.abs(sin) * halfHeight,
+        extentY: Math.abs(sin) * halfWidth + Math.abs(cos) * halfHeight,
+        // --- Rigid Bodies: sleeping camels act as static ground for the awake ones ---
+        // --- Pointer Grab: held camels follow the pointer and shove others without being pushed back ---
+        inverseMass: movable ? 1 / mass : 0,
+        inverseInertia: movable ? 12 / (mass * 4 * (halfWidth * halfWidth + halfHeight * halfHeight)) : 0
+    };
+}
+
+/**
+ * --- Rigid Bodies: the four world-space corners of a box ---
+ * @param {Object} box - Result of getCamelBox().
+ * @returns {Array<{x: number, y: number}>} - Corners.
+ */
+function getBoxCorners(box) {
+    const axisX = box.cos * box.halfWidth;
+    const axisY = box.sin * box.halfWidth;
+    const upX = -box.sin * box.halfHeight;
+    const upY = box.cos * box.halfHeight;
+    return [
+        { x: box.centerX + axisX + upX, y: box.centerY + axisY + upY },
+        { x: box.centerX - axisX + upX, y: box.centerY - axisY + upY },
+        { x: box.centerX - axisX - upX, y: box.centerY - axisY - upY },
+        { x: box.centerX + axisX - upX, y: box.centerY + axisY - upY }
+    ];
+}
+
+/**
+ * --- Rigid Bodies: whether a point lies inside (or on) a box ---
+ * @param {Object} box - Result of getCamelBox().
+ * @param {number} x - World x.
+ * @param {number} y - World y.
+ * @param {number} tolerance - Extra margin in pixels.
+ * @returns {boolean} - True when inside.
+ */
+function isPointInBox(box, x, y, tolerance) {
+    const dx = x - box.centerX;
+    const dy = y - box.centerY;
+    return Math.abs(dx * box.cos + dy * box.sin) <= box.halfWidth + tolerance &&
+           Math.abs(-dx * box.sin + dy * box.cos) <= box.halfHeight + tolerance;
+}
+
+/**
+ * Check collision between two camels using the separating axis test on their oriented boxes
+ * @param {Object} camel1 - First camel (its box must be current).
+ * @param {Object} camel2 - Second camel.
+ * @returns {Object|null} - Contact manifold with a normal from camel1 to camel2, or null.
+ */
+function checkCollision(camel1, camel2) {
+    const boxA = camel1.box;
+    const boxB = camel2.box;
+    const axes = [
+        [boxA.cos, boxA.sin], [-boxA.sin, boxA.cos],
+        [boxB.cos, boxB.sin], [-boxB.sin, boxB.cos]
+    ];
+    const centerDX = boxB.centerX - boxA.centerX;
+    const centerDY = boxB.centerY - boxA.centerY;
+    
+    let depth = Infinity;
+    let normalX = 0;
+    let normalY = 0;
+    for (let i = 0; i < axes.length; i++) {
+        const [axisX, axisY] = axes[i];
+        const radiusA = boxA.halfWidth * Math.abs(boxA.cos * axisX + boxA.sin * axisY) +
+                        boxA.halfHeight * Math.abs(-boxA.sin * axisX + boxA.cos * axisY);
+        const radiusB = boxB.halfWidth * Math.abs(boxB.cos * axisX + boxB.sin * axisY) +
+                        boxB.halfHeight * Math.abs(-boxB.sin * axisX + boxB.cos * axisY);
+        const distance = centerDX * axisX + centerDY * axisY;
+        const overlap = radiusA + radiusB - Math.abs(distance);
+        if (overlap <= 0) {
+            return null; // Separating axis found
+        }
+        if (overlap < depth) {
+            depth = overlap;
+            const sign = distance < 0 ? -1 : 1;
+            normalX = axisX * sign;
+            normalY = axisY * sign;
+        }
+    }
+    
+    // --- Rigid Bodies: contact points are the corners buried in the other box ---
+    const points = [];
+    getBoxCorners(boxB).forEach(corner => {
+        if (isPointInBox(boxA, corner.x, corner.y, CONTACT_TOLERANCE)) {
+            points.push({ x: corner.x, y: corner.y, depth });
+        }
+    });
+    getBoxCorners(boxA).forEach(corner => {
+        if (isPointInBox(boxB, corner.x, corner.y, CONTACT_TOLERANCE)) {
+            points.push({ x: corner.x, y: corner.y, depth });
+        }
+    });
+    if (points.length === 0) {
+        // Edges cross without a buried corner: push apart through the midpoint
+        points.push({ x: boxA.centerX + centerDX / 2, y: boxA.centerY + centerDY / 2, depth });
+    }
+    
+    return {
+        bodyA: camel1,
+        bodyB: camel2,
+        normalX,
+        normalY,
+        points,
+        friction: CAMEL_FRICTION,
+        restitution: CAMEL_RESTITUTION
+    };
+}
+
+/**
+ * --- Rigid Bodies: contacts between a camel and the ground or side walls ---
+ * @param {Object} camel - Camel with a current box.
+ * @param {Array} contacts - Manifolds are appended here.
+ */
+function collectBoundaryContacts(camel, contacts) {
+    const corners = getBoxCorners(camel.box);
+    const boundaries = [
+        // Ground follows the dug profile; normals point out of the camel
+        { normalX: 0, normalY: 1, depthOf: corner => corner.y - getGroundSurfaceY(corner.x), friction: GROUND_FRICTION },
+        { normalX: -1, normalY: 0, depthOf: corner => -corner.x, friction: CAMEL_FRICTION },
+        { normalX: 1, normalY: 0, depthOf: corner => corner.x - canvas.width, friction: CAMEL_FRICTION }
+    ];
+    boundaries.forEach(boundary => {
+        const points = [];
+        corners.forEach(corner => {
+            const depth = boundary.depthOf(corner);
+            if (depth > -CONTACT_TOLERANCE) {
+                points.push({ x: corner.x, y: corner.y, depth });
+            }
+        });
+        if (points.length > 0) {
+            contacts.push({
+                bodyA: camel,
+                bodyB: null,
+                normalX: boundary.normalX,
+                normalY: boundary.normalY,
+                points,
+                friction: boundary.friction,
+                restitution: GROUND_RESTITUTION
+            });
+        }
+    });
+}
+
+/**
+ * --- Rigid Bodies: speed of body B relative to body A at a contact point, along a direction ---
+ * @param {Object} contact - Manifold whose bodyB may be null for static boundaries.
+ * @param {Object} point - Prepared contact point with lever arms.
+ * @param {number} directionX - Direction x.
+ * @param {number} directionY - Direction y.
+ * @returns {number} - Relative speed in pixels per step (positive when separating along the normal).
+ */
+function getRelativeSpeed(contact, point, directionX, directionY) {
+    const bodyA = contact.bodyA;
+    const bodyB = contact.bodyB;
+    let relativeX = -(bodyA.velocityX - bodyA.rotationSpeed * point.offsetAY);
+    let relativeY = -(bodyA.velocityY + bodyA.rotationSpeed * point.offsetAX);
+    if (bodyB) {
+        relativeX += bodyB.velocityX - bodyB.rotationSpeed * point.offsetBY;
+        relativeY += bodyB.velocityY + bodyB.rotationSpeed * point.offsetBX;
+    }
+    return relativeX * directionX + relativeY * directionY;
+}
+
+/**
+ * --- Rigid Bodies: apply an impulse at a point offset from a body's centre ---
+ * @param {Object|null} body - Camel, or null for static boundaries.
+ * @param {number} offsetX - Lever arm x.
+ * @param {number} offsetY - Lever arm y.
+ * @param {number} impulseX - Impulse x.
+ * @param {number} impulseY - Impulse y.
+ */
+function applyImpulse(body, offsetX, offsetY, impulseX, impulseY) {
+    if (!body || body.box.inverseMass === 0) {
+        return;
+    }
+    body.velocityX += impulseX * body.box.inverseMass;
+    body.velocityY += impulseY * body.box.inverseMass;
+    body.rotationSpeed += (offsetX * impulseY - offsetY * impulseX) * body.box.inverseInertia;
+}
+
+/**
+ * --- Rigid Bodies: precompute effective masses and target speeds for each contact point ---
+ * @param {Object} contact - Manifold from checkCollision() or collectBoundaryContacts().
+ */
+function prepareContact(contact) {
+    const { bodyA, bodyB, normalX, normalY } = contact;
+    const tangentX = -normalY;
+    const tangentY = normalX;
+    const boxA = bodyA.box;
+    const boxB = bodyB ? bodyB.box : null;
+    
+    contact.points.forEach(point => {
+        point.offsetAX = point.x - boxA.centerX;
+        point.offsetAY = point.y - boxA.centerY;
+        point.offsetBX = boxB ? point.x - boxB.centerX : 0;
+        point.offsetBY = boxB ? point.y - boxB.centerY : 0;
+        
+        const inverseMassSum = boxA.inverseMass + (boxB ? boxB.inverseMass : 0);
+        const normalArmA = point.offsetAX * normalY - point.offsetAY * normalX;
+        const normalArmB = point.offsetBX * normalY - point.offsetBY * normalX;
+        const tangentArmA = point.offsetAX * tangentY - point.offsetAY * tangentX;
+        const tangentArmB = point.offsetBX * tangentY - point.offsetBY * tangentX;
+        const inverseInertiaB = boxB ? boxB.inverseInertia : 0;
+        point.normalMass = 1 / (inverseMassSum + boxA.inverseInertia * normalArmA * normalArmA + inverseInertiaB * normalArmB * normalArmB);
+        point.tangentMass = 1 / (inverseMassSum + boxA.inverseInertia * tangentArmA * tangentArmA + inverseInertiaB * tangentArmB * tangentArmB);
+        
+        // --- Rigid Bodies: bounce only from real impacts; otherwise just ease out of overlap ---
+        const approachSpeed = -getRelativeSpeed(contact, point, normalX, normalY);
+        const bounce = approachSpeed > RESTITUTION_THRESHOLD ? approachSpeed * contact.restitution : 0;
+        const correction = Math.min(POSITION_CORRECTION * Math.max(point.depth - PENETRATION_SLOP, 0), MAX_CORRECTION_SPEED);
+        point.targetSpeed = Math.max(bounce, correction);
+        point.normalImpulse = 0;
+        point.tangentImpulse = 0;
+    });
+}
+
+/**
+ * --- Rigid Bodies: one sequential-impulse pass over a contact's points ---
+ * Accumulated impulses are clamped so contacts only push, and friction stays
+ * inside the Coulomb cone.
+ * @param {Object} contact - Prepared manifold.
+ */
+function solveContact(contact) {
+    const { bodyA, bodyB, normalX, normalY, friction } = contact;
+    const tangentX = -normalY;
+    const tangentY = normalX;
+    
+    for (let i = 0; i < contact.points.length; i++) {
+        const point = contact.points[i];
+        
+        // Normal impulse: separate the bodies along the normal (which points from A to B)
+        const separatingSpeed = getRelativeSpeed(contact, point, normalX, normalY);
+        const previousNormal = point.normalImpulse;
+        point.normalImpulse = Math.max(previousNormal + point.normalMass * (point.targetSpeed - separatingSpeed), 0);
+        const normalImpulse = point.normalImpulse - previousNormal;
+        applyImpulse(bodyA, point.offsetAX, point.offsetAY, -normalImpulse * normalX, -normalImpulse * normalY);
+        applyImpulse(bodyB, point.offsetBX, point.offsetBY, normalImpulse * normalX, normalImpulse * normalY);
+        
+        // Friction impulse: resist sliding, bounded by the normal impulse
+        const slidingSpeed = getRelativeSpeed(contact, point, tangentX, tangentY);
+        const maxFriction = friction * point.normalImpulse;
+        const previousTangent = point.tangentImpulse;
+        point.tangentImpulse = Math.max(-maxFriction, Math.min(previousTangent - point.tangentMass * slidingSpeed, maxFriction));
+        const tangentImpulse = point.tangentImpulse - previousTangent;
+        applyImpulse(bodyA, point.offsetAX, point.offsetAY, -tangentImpulse * tangentX, -tangentImpulse * tangentY);
+        applyImpulse(bodyB, point.offsetBX, point.offsetBY, tangentImpulse * tangentX, tangentImpulse * tangentY);
+    }
+}
+
+/**
+ * --- Pointer Grab: convert a pointer event to canvas pixels ---
+ * @param {PointerEvent} event - Pointer event on the canvas.
+ * @returns {{x: number, y: number}} - Canvas coordinates.
+ */
+function getCanvasPoint(event) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+        x: (event.clientX - rect.left) * (canvas.width / (rect.width || canvas.width)),
+        y: (event.clientY - rect.top) * (canvas.height / (rect.height || canvas.height))
+    };
+}
+
+/**
+ * --- Pointer Grab: topmost free camel under a point, respecting rotation and scale ---
+ * @param {number} x - Canvas x.
+ * @param {number} y - Canvas y.
+ * @returns {Object|null} - Camel entity or null.
+ */
+function findCamelAt(x, y) {
+    // Later camels are drawn on top, so search from the end
+    for (let i = camels.length - 1; i >= 0; i--) {
+        const camel = camels[i];
+        if (camel.grabbedBy === null && isPointInBox(getCamelBox(camel), x, y, 0)) {
+            return camel;
+        }
+    }
+    return null;
+}
+
+/**
+ * --- Pointer Grab: pick up the camel under a pointer ---
+ * @param {PointerEvent} event - pointerdown on the canvas.
+ */
+function handlePointerDown(event) {
+    const point = getCanvasPoint(event);
+    if (raidEncounter && hitBanditAt(point.x, point.y)) {
+        event.preventDefault();
+        return;
+    }
+    if (shovelActive) {
+        // --- Shovel: only presses on (or just above) the ground dig ---
+        if (point.y >= groundY - SHOVEL_RADIUS) {
+            event.preventDefault();
+            digGround(point.x, SHOVEL_RADIUS);
+            activeDigs.set(event.pointerId, point.x);
+        }
+        return;
+    }
+    const camel = findCamelAt(point.x, point.y);
+    if (!camel) {
+        return;
+    }
+    event.preventDefault();
+    
+    // Remember where on the camel it was grabbed, in the camel's own unrotated frame
+    const box = getCamelBox(camel);
+    const dx = point.x - box.centerX;
+    const dy = point.y - box.centerY;
+    wakeCamel(camel);
+    camel.grabbedBy = event.pointerId;
+    activeDrags.set(event.pointerId, {
+        camel,
+        localX: dx * box.cos + dy * box.sin,
+        localY: -dx * box.sin + dy * box.cos,
+        targetX: point.x,
+        targetY: point.y,
+        samples: [{ x: point.x, y: point.y, time: event.timeStamp }]
+    });
+    if (canvas.setPointerCapture) {
+        canvas.setPointerCapture(event.pointerId);
+    }
+}
+
+/**
+ * --- Pointer Grab: move the drag target and record samples for the throw ---
+ * @param {PointerEvent} event - pointermove on the canvas.
+ */
+function handlePointerMove(event) {
+    if (activeDigs.has(event.pointerId)) {
+        // --- Shovel: dragging along the ground digs a trench ---
+        const point = getCanvasPoint(event);
+        if (Math.abs(point.x - activeDigs.get(event.pointerId)) >= SHOVEL_RADIUS / 3) {
+            digGround(point.x, SHOVEL_RADIUS);
+            activeDigs.set(event.pointerId, point.x);
+        }
+        return;
+    }
+    const drag = activeDrags.get(event.pointerId);
+    if (!drag) {
+        return;
+    }
+    if (drag.camel.grabbedBy !== event.pointerId) {
+        // The camel joined the herd pile while held
+        activeDrags.delete(event.pointerId);
         return;
     }
-    progressBar.classList.remove('hidden');
-    const progressPercent = Math.min((caravanGoldTimer / 60) * 100, 100);
-    progressFill.style.width = `${progressPercent}%`;
+    const point = getCanvasPoint(event);
+    drag.targetX = Math.max(0, Math.min(point.x, canvas.width));
+    drag.targetY = Math.max(0, Math.min(point.y, canvas.height));
+    drag.samples.push({ x: drag.targetX, y: drag.targetY, time: event.timeStamp });
+    while (drag.samples.length > 2 && event.timeStamp - drag.samples[0].time > THROW_SAMPLE_WINDOW_MS) {
+        drag.samples.shift();
+    }
+}
+
+/**
+ * --- Pointer Grab: let go, flinging the camel with the pointer's recent velocity ---
+ * @param {PointerEvent} event - pointerup or pointercancel on the canvas.
+ */
+function handlePointerUp(event) {
+    activeDigs.delete(event.pointerId);
+    const drag = activeDrags.get(event.pointerId);
+    if (!drag) {
+        return;
+    }
+    activeDrags.delete(event.pointerId);
+    const camel = drag.camel;
+    if (camel.grabbedBy !== event.pointerId) {
+        return;
+    }
+    camel.grabbedBy = null;
+    if (event.type === 'pointercancel') {
+        return;
+    }
+    
+    const first = drag.samples[0];
+    const last = drag.samples[drag.samples.length - 1];
+    const elapsedMs = last.time - first.time;
+    if (elapsedMs > 0) {
+        const clampSpeed = speed => Math.max(-MAX_THROW_SPEED, Math.min(speed, MAX_THROW_SPEED));
+        camel.velocityX = clampSpeed((last.x - first.x) / elapsedMs * PHYSICS_STEP_MS);
+        camel.velocityY = clampSpeed((last.y - first.y) / elapsedMs * PHYSICS_STEP_MS);
+        camel.rotationSpeed += camel.velocityX * 0.005; // A little tumble for style
+    }
+}
+
+/**
+ * --- Pointer Grab: pull a held camel's grab point toward its pointer ---
+ * @param {Object} camel - Camel with grabbedBy set and a current box.
+ */
+function steerGrabbedCamel(camel) {
+    const drag = activeDrags.get(camel.grabbedBy);
+    if (!drag) {
+        camel.grabbedBy = null;
+        return;
+    }
+    const box = camel.box;
+    const grabX = box.centerX + drag.localX * box.cos - drag.localY * box.sin;
+    const grabY = box.centerY + drag.localX * box.sin + drag.localY * box.cos;
+    camel.velocityX = Math.max(-MAX_THROW_SPEED, Math.min((drag.targetX - grabX) * DRAG_FOLLOW, MAX_THROW_SPEED));
+    camel.velocityY = Math.max(-MAX_THROW_SPEED, Math.min((drag.targetY - grabY) * DRAG_FOLLOW, MAX_THROW_SPEED));
+    camel.rotationSpeed *= DRAG_ROTATION_DAMPING;
+}
+
+/**
+ * --- Rigid Bodies: wake a sleeping camel so it simulates again ---
+ * @param {Object} camel - Camel entity.
+ */
+function wakeCamel(camel) {
+    camel.asleep = false;
+    camel.sleepSteps = 0;
+}
+
+/**
+ * --- Rigid Bodies: wake every camel, e.g. when the ground changes ---
+ */
+function wakeAllCamels() {
+    camels.forEach(wakeCamel);
+}
+
+/**
+ * --- Rigid Bodies: whether a camel moves fast enough to disturb sleepers ---
+ * @param {Object} camel - Camel entity.
+ * @returns {boolean} - True when it should wake what it touches.
+ */
+function isCamelMovingFast(camel) {
+    return !camel.asleep && Math.abs(camel.velocityX) + Math.abs(camel.velocityY) > WAKE_SPEED;
+}
+
+/**
+ * --- Fixed Timestep: remember a camel's pose before the next physics step ---
+ * @param {Object} camel - Camel entity.
+ */
+function storePreviousTransform(camel) {
+    camel.previousX = camel.x;
+    camel.previousY = camel.y;
+    camel.previousRotation = camel.rotation;
+}
+
+/**
+ * Update camel physics by one fixed step of PHYSICS_STEP_MS.
+ * All velocities are in pixels per step and all damping factors are per step.
+ */
+function updateCamels() {
+    refillGround();
+    
+    // --- Rigid Bodies: pair contacts first so fast camels can wake sleepers before solving ---
+    camels.forEach(camel => {
+        camel.box = getCamelBox(camel);
+    });
+    const contacts = findCamelContacts();
+    contacts.forEach(contact => {
+        [[contact.bodyA, contact.bodyB], [contact.bodyB, contact.bodyA]].forEach(([sleeper, other]) => {
+            if (sleeper.asleep && isCamelMovingFast(other)) {
+                wakeCamel(sleeper);
+                sleeper.box = getCamelBox(sleeper);
+            }
+        });
+    });
+    
+    const activeContacts = contacts.filter(contact => contact.bodyA.box.inverseMass > 0 || contact.bodyB.box.inverseMass > 0);
+    const windForce = getWindForce();
+    camels.forEach(camel => {
+        if (camel.asleep) {
+            return;
+        }
+        if (camel.grabbedBy !== null) {
+            steerGrabbedCamel(camel);
+            return;
+        }
+        collectBoundaryContacts(camel, activeContacts);
+        
+        // Apply gravity
+        camel.velocityY += gravity;
+        
+        // --- Day/Night & Weather: sandstorm wind shoves every loose camel sideways ---
+        camel.velocityX += windForce;
+        
+        // Apply air resistance
+        camel.velocityX *= 0.99;
+        camel.velocityY *= 0.999;
+        camel.rotationSpeed *= 0.98;
+    });
+    
+    // --- Rigid Bodies: resolve contacts with friction and resting support ---
+    activeContacts.forEach(prepareContact);
+    for (let iteration = 0; iteration < SOLVER_ITERATIONS; iteration++) {
+        activeContacts.forEach(solveContact);
+    }
+    
+    camels.forEach(camel => {
+        if (camel.asleep) {
+            return;
+        }
+        // Update position and rotation (the anchor is the centre of mass)
+        camel.x += camel.velocityX;
+        camel.y += camel.velocityY;
+        camel.rotation += camel.rotationSpeed;
+        
+        // --- Rigid Bodies: settle camels that have stopped moving (never while the wind blows) ---
+        const resting = windForce === 0 && camel.grabbedBy === null && Math.abs(camel.velocityX) + Math.abs(camel.velocityY) < SLEEP_LINEAR_SPEED &&
+                        Math.abs(camel.rotationSpeed) < SLEEP_ANGULAR_SPEED;
+        camel.sleepSteps = resting ? camel.sleepSteps + 1 : 0;
+        if (camel.sleepSteps >= SLEEP_STEPS) {
+            camel.asleep = true;
+            camel.velocityX = 0;
+            camel.velocityY = 0;
+            camel.rotationSpeed = 0;
+        }
+    });
+    
+    // Remove camels that fall off screen
+    // --- Herd Visuals: they are still counted, so they reappear in the dune ---
+    if (camels.some(camel => camel.y > canvas.height + 100)) {
+        camels = camels.filter(camel => {
+            if (camel.y > canvas.height + 100) {
+                releaseCamelEntity(camel);
+                return false;
+            }
+            return true;
+        });
+    }
+}
+
+/**
+ * --- Broadphase: narrowphase every nearby pair found through the grid ---
+ * @returns {Array} - Contact manifolds between camels.
+ */
+function findCamelContacts() {
+    const contacts = [];
+    buildCollisionGrid();
+    collisionGrid.forEach(cell => {
+        for (let i = 0; i < cell.length; i++) {
+            for (let j = i + 1; j < cell.length; j++) {
+                const camel1 = cell[i];
+                const camel2 = cell[j];
+                // --- Broadphase: a pair sharing several cells is only tested in the first one ---
+                if (cell.cellX !== Math.max(camel1.cellX, camel2.cellX) ||
+                    cell.cellY !== Math.max(camel1.cellY, camel2.cellY) ||
+                    (camel1.asleep && camel2.asleep)) {
+                    continue;
+                }
+                const contact = checkCollision(camel1, camel2);
+                if (contact) {
+                    contacts.push(contact);
+                }
+            }
+        }
+    });
+    return contacts;
+}
+
+/**
+ * --- Broadphase: key of a grid cell ---
+ * @param {number} cellX - Column index.
+ * @param {number} cellY - Row index.
+ * @returns {number} - Unique numeric key for the Map.
+ */
+function cellKey(cellX, cellY) {
+    return cellX * 65536 + cellY;
+}
+
+/**
+ * --- Broadphase: bucket every camel into the cells its box overlaps ---
+ * Cell arrays are emptied and reused between steps to keep garbage low.
+ */
+function buildCollisionGrid() {
+    collisionGrid.forEach(cell => {
+        cell.length = 0;
+    });
+    camels.forEach(camel => {
+        // --- Broadphase: bucket by the bounding box of the rotated camel ---
+        const box = camel.box;
+        camel.cellX = Math.floor((box.centerX - box.extentX) / COLLISION_CELL_SIZE);
+        camel.cellY = Math.floor((box.centerY - box.extentY) / COLLISION_CELL_SIZE);
+        const lastCellX = Math.floor((box.centerX + box.extentX) / COLLISION_CELL_SIZE);
+        const lastCellY = Math.floor((box.centerY + box.extentY) / COLLISION_CELL_SIZE);
+        for (let cellX = camel.cellX; cellX <= lastCellX; cellX++) {
+            for (let cellY = camel.cellY; cellY <= lastCellY; cellY++) {
+                const key = cellKey(cellX, cellY);
+                let cell = collisionGrid.get(key);
+                if (!cell) {
+                    cell = [];
+                    cell.cellX = cellX;
+                    cell.cellY = cellY;
+                    collisionGrid.set(key, cell);
+                }
+                cell.push(camel);
+            }
+        }
+    });
+}
+
+/**
+ * Render all camels
+ * @param {number} alpha - Fraction of a physics step elapsed since the last one, for interpolation.
+ */
+function renderCamels(alpha) {
+    camels.forEach(camel => {
+        // --- Fixed Timestep: draw between the last two physics poses ---
+        const x = camel.previousX + (camel.x - camel.previousX) * alpha;
+        const y = camel.previousY + (camel.y - camel.previousY) * alpha;
+        const rotation = camel.previousRotation + (camel.rotation - camel.previousRotation) * alpha;
+        
+        ctx.save();
+        
+        // Move to camel's anchor point (pivot point)
+        ctx.translate(x + camel.anchorX, y + camel.anchorY);
+        
+        // Apply rotation around the anchor point
+        ctx.rotate(rotation);
+        
+        // Apply scale
+        ctx.scale(camel.scale, camel.scale);
+        
+        // Draw camel image (offset by anchor point)
+        const breed = CamelBreeds.getBreed(camel.breed);
+        if (camelImage.complete) {
+            ctx.drawImage(
+                getBreedSprite(breed),
+                -camel.anchorX,
+                -camel.anchorY,
+                camel.width,
+                camel.height
+            );
+        } else {
+            // Fallback: draw colored rectangle if image not loaded
+            ctx.fillStyle = breed.tint || '#C2A46B';
+            ctx.fillRect(-camel.anchorX, -camel.anchorY, camel.width, camel.height);
+            
+            // Draw simple camel shape
+            ctx.fillStyle = '#8B4513';
+            ctx.fillRect(-camel.anchorX - 20, -camel.anchorY - 30, 40, 20); // Body
+            ctx.fillRect(-camel.anchorX - 15, -camel.anchorY - 40, 15, 15); // Head
+            ctx.fillRect(-camel.anchorX - 10, -camel.anchorY - 45, 8, 8); // Hump
+        }
+        
+        ctx.restore();
+    });
+}
+
+/**
+ * Draw the ground
+ */
+function drawGround() {
+    // --- Shovel: trace the dug profile; open holes show the sky through them ---
+    const bottom = canvas.height;
+    ctx.fillStyle = '#8B7355';
+    ctx.beginPath();
+    ctx.moveTo(0, bottom);
+    for (let column = 0; column < groundProfile.length; column++) {
+        const x = column * GROUND_COLUMN_WIDTH;
+        const top = Math.min(groundY + groundProfile[column], bottom);
+        ctx.lineTo(x, top);
+        ctx.lineTo(x + GROUND_COLUMN_WIDTH, top);
+    }
+    ctx.lineTo(canvas.width, bottom);
+    ctx.closePath();
+    ctx.fill();
+    
+    // Add some texture to ground
+    ctx.fillStyle = '#A0522D';
+    for (let i = 0; i < canvas.width; i += 20) {
+        const surfaceY = getGroundSurfaceY(i);
+        if (surfaceY < bottom) {
+            ctx.fillRect(i, surfaceY, 10, 10);
+        }
+    }
+}
+
+/**
+ * --- Shovel: flatten the ground to fit the current canvas width ---
+ */
+function resetGroundProfile() {
+    groundProfile = new Float32Array(Math.ceil(canvas.width / GROUND_COLUMN_WIDTH) + 1);
+}
+
+/**
+ * --- Shovel: depth of sand between the surface and the bottom of the screen ---
+ * @returns {number} - Ground thickness in pixels.
+ */
+function getGroundThickness() {
+    return canvas.height - groundY;
+}
+
+/**
+ * --- Shovel: surface height of the ground at an x position ---
+ * @param {number} x - Canvas x.
+ * @returns {number} - Surface y, or Infinity where a hole goes all the way through.
+ */
+function getGroundSurfaceY(x) {
+    const column = Math.max(0, Math.min(Math.floor(x / GROUND_COLUMN_WIDTH), groundProfile.length - 1));
+    const depth = groundProfile[column] || 0;
+    return depth >= getGroundThickness() ? Infinity : groundY + depth;
 }
 
 /**
- * --- Incremental Loop System: enable prestige button when unlocked ---
+ * --- Shovel: wake camels standing over a stretch of ground that changed shape ---
+ * @param {number} minX - Left edge of the change.
+ * @param {number} maxX - Right edge of the change.
  */
-function updateNomadButtonState() {
-    if (!nomadButton) {
-        return;
-    }
-    const unlocked = counter >= 1000 || caravanCount >= 100;
-    if (unlocked) {
-        // --- Incremental Loop System: prestige available ---
-        nomadButton.classList.remove('disabled');
-        nomadButton.title = 'Nomad Migration ready!';
-    } else {
-        // --- Incremental Loop System: prestige locked ---
-        nomadButton.classList.add('disabled');
-        nomadButton.title = 'Reach 1000 camels or 100 caravans to unlock.';
-    }
+function wakeCamelsOverGround(minX, maxX) {
+    camels.forEach(camel => {
+        if (!camel.asleep) {
+            return;
+        }
+        const box = getCamelBox(camel);
+        if (box.centerX + box.extentX >= minX && box.centerX - box.extentX <= maxX) {
+            wakeCamel(camel);
+        }
+    });
 }
 
 /**
- * --- Incremental Loop System: trigger prestige reset ---
+ * --- Shovel: dig a round hole into the ground ---
+ * The middle of the hole opens all the way through, so only camels above it fall.
+ * @param {number} x - Canvas x of the hole's centre.
+ * @param {number} radius - Hole radius in pixels.
  */
-function handleNomadMigration() {
-    if (!nomadButton || nomadButton.classList.contains('disabled')) {
-        return;
+function digGround(x, radius) {
+    const fullDepth = getGroundThickness() + SHOVEL_OPEN_DEPTH;
+    const firstColumn = Math.max(0, Math.floor((x - radius) / GROUND_COLUMN_WIDTH));
+    const lastColumn = Math.min(groundProfile.length - 1, Math.floor((x + radius) / GROUND_COLUMN_WIDTH));
+    let sandRemoved = 0;
+    for (let column = firstColumn; column <= lastColumn; column++) {
+        const offset = ((column + 0.5) * GROUND_COLUMN_WIDTH - x) / radius;
+        if (Math.abs(offset) >= 1) {
+            continue;
+        }
+        // Steep-walled bowl: all but the outer rim reaches the bottom
+        const depth = fullDepth * Math.min(1, 2 * Math.sqrt(1 - offset * offset));
+        if (depth > groundProfile[column]) {
+            sandRemoved += (Math.min(depth, getGroundThickness()) - Math.min(groundProfile[column], getGroundThickness())) * GROUND_COLUMN_WIDTH;
+            groundProfile[column] = depth;
+        }
     }
-    // --- Incremental Loop System: compute prestige tokens ---
-    const earnedTokens = Math.max(1, Math.floor(counter / 1000) + Math.floor(caravanCount / 100));
-    nomadTokens += earnedTokens;
+    wakeCamelsOverGround(x - radius, x + radius);
     
-    resetResourcesForNomad();
-    updateStatusMessage(`Nomads set out with ${earnedTokens} tokens! 🔄`);
-    updateCounters();
-    updateIncrementalCounters();
-    updateCaravanButton();
-    updateCaravanProgressBar();
-    queueSaveGameState();
+    // --- Shovel: sifted sand always turns up the odd gold nugget ---
+    sandDugRemainder += sandRemoved;
+    const nuggets = Math.floor(sandDugRemainder / SAND_PER_GOLD);
+    sandDugRemainder -= nuggets * SAND_PER_GOLD;
+    economy.gainGold(nuggets, 'sand');
 }
 
 /**
- * --- Incremental Loop System: clear resources except prestige tokens ---
+ * --- Shovel: blow sand back into dug holes, one physics step at a time ---
  */
-function resetResourcesForNomad() {
-    // --- Incremental Loop System: wipe loop resources but keep tokens ---
-    counter = 0;
-    goldAmount = 0;
-    grassAmount = 0;
-    farmCount = 0;
-    grasslandCount = 0;
-    guardCampCount = 0;
-    caravanCount = 0;
-    caravanGoldTimer = 0;
-    farmProductionTimer = 0;
-    grassConsumptionTimer = 0;
-    banditTimer = 0;
-    camels = [];
+function refillGround() {
+    let minX = Infinity;
+    let maxX = -Infinity;
+    for (let column = 0; column < groundProfile.length; column++) {
+        if (groundProfile[column] > 0) {
+            groundProfile[column] = Math.max(0, groundProfile[column] - GROUND_REFILL_PER_STEP);
+            minX = Math.min(minX, column * GROUND_COLUMN_WIDTH);
+            maxX = Math.max(maxX, (column + 1) * GROUND_COLUMN_WIDTH);
+        }
+    }
+    if (minX <= maxX) {
+        // Rising sand has to lift anything resting in the hole
+        wakeCamelsOverGround(minX, maxX);
+    }
 }
 
 /**
- * --- Incremental Loop System: persist state with throttling ---
+ * --- Herd Visuals: draw the camels beyond the physics budget as a dune on the ground ---
  */
-function queueSaveGameState() {
-    if (saveThrottleTimeout) {
-        clearTimeout(saveThrottleTimeout);
+function drawHerdPile() {
+    const pileCount = getHerdPileCount();
+    if (pileCount === 0) {
+        return;
     }
-    // --- Incremental Loop System: debounce saves for performance ---
-    saveThrottleTimeout = setTimeout(saveGameState, 500);
+    
+    const height = Math.min(HERD_PILE_HEIGHT_PER_SQRT_CAMEL * Math.sqrt(pileCount), groundY * HERD_PILE_MAX_HEIGHT_RATIO);
+    const halfWidth = Math.min(canvas.width * 0.45, height * 2.5 + 40);
+    const centerX = canvas.width / 2;
+    const surfaceY = offset => groundY - height * (1 - offset * offset); // Parabolic dune, offset in [-1, 1]
+    
+    ctx.fillStyle = '#C2A46B';
+    ctx.beginPath();
+    ctx.moveTo(centerX - halfWidth, groundY);
+    ctx.quadraticCurveTo(centerX, groundY - height * 2, centerX + halfWidth, groundY);
+    ctx.closePath();
+    ctx.fill();
+    
+    // Stamp a handful of camels over the dune; spacing by the golden ratio keeps them stable between frames
+    const spriteCount = Math.min(pileCount, HERD_PILE_MAX_SPRITES);
+    for (let i = 0; i < spriteCount; i++) {
+        const offset = ((i * 0.618034) % 1) * 1.6 - 0.8;
+        const depth = ((i * 0.381966) % 1) * height * 0.6;
+        const x = centerX + offset * halfWidth;
+        const y = Math.min(surfaceY(offset) + depth, groundY) - 50 * HERD_PILE_SPRITE_SCALE;
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate((((i * 0.7548777) % 1) - 0.5) * 0.6);
+        ctx.scale(HERD_PILE_SPRITE_SCALE, HERD_PILE_SPRITE_SCALE);
+        if (camelImage.complete) {
+            ctx.drawImage(camelImage, -40, -50, 80, 100);
+        } else {
+            ctx.fillStyle = '#8B4513';
+            ctx.fillRect(-40, -50, 80, 100);
+        }
+        ctx.restore();
+    }
+    
+    ctx.fillStyle = '#5C4033';
+    ctx.font = 'bold 16px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(`🐪 × ${pileCount}`, centerX, groundY - height - 12);
 }
 
 /**
- * --- Incremental Loop System: write current state to localStorage ---
+ * --- Raid Encounters: read whether raids play out on screen ---
  */
-function saveGameState() {
-    // --- Incremental Loop System: snapshot key resources ---
-    const payload = {
-        counter,
-        goldAmount,
-        caravanCount,
-        farmCount,
-        grassAmount,
-        grasslandCount,
-        guardCampCount,
-        nomadTokens,
-        caravanGoldTimer,
-        farmProductionTimer,
-        grassConsumptionTimer,
-        banditTimer
-    };
+function loadRaidEncounterSetting() {
     try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(payload));
+        raidEncountersEnabled = localStorage.getItem(RAID_ENCOUNTERS_STORAGE_KEY) !== 'off';
     } catch (error) {
-        console.error('Failed to save game state:', error);
+        console.error('Failed to read the raid encounter setting:', error);
     }
-    saveThrottleTimeout = null;
+    economy.setRaidEncounters(raidEncountersEnabled);
 }
 
 /**
- * --- Incremental Loop System: restore saved progress ---
+ * --- Raid Encounters: switch between on-screen encounters and instant dice rolls ---
  */
-function loadGameState() {
+function toggleRaidEncounters() {
+    raidEncountersEnabled = !raidEncountersEnabled;
+    economy.setRaidEncounters(raidEncountersEnabled);
     try {
-        const stored = localStorage.getItem(STORAGE_KEY);
-        if (!stored) {
-            return;
-        }
-        // --- Incremental Loop System: hydrate from storage ---
-        const data = JSON.parse(stored);
-        counter = Number.isFinite(data.counter) ? data.counter : counter;
-        goldAmount = Number.isFinite(data.goldAmount) ? data.goldAmount : goldAmount;
-        caravanCount = Number.isFinite(data.caravanCount) ? data.caravanCount : caravanCount;
-        farmCount = Number.isFinite(data.farmCount) ? data.farmCount : farmCount;
-        grassAmount = Number.isFinite(data.grassAmount) ? data.grassAmount : grassAmount;
-        grasslandCount = Number.isFinite(data.grasslandCount) ? data.grasslandCount : grasslandCount;
-        guardCampCount = Number.isFinite(data.guardCampCount) ? data.guardCampCount : guardCampCount;
-        nomadTokens = Number.isFinite(data.nomadTokens) ? data.nomadTokens : nomadTokens;
-        caravanGoldTimer = Number.isFinite(data.caravanGoldTimer) ? data.caravanGoldTimer : 0;
-        farmProductionTimer = Number.isFinite(data.farmProductionTimer) ? data.farmProductionTimer : 0;
-        grassConsumptionTimer = Number.isFinite(data.grassConsumptionTimer) ? data.grassConsumptionTimer : 0;
-        banditTimer = Number.isFinite(data.banditTimer) ? data.banditTimer : 0;
+        localStorage.setItem(RAID_ENCOUNTERS_STORAGE_KEY, raidEncountersEnabled ? 'on' : 'off');
     } catch (error) {
-        console.error('Failed to load game state:', error);
+        console.error('Failed to write the raid encounter setting:', error);
     }
+    if (!raidEncountersEnabled) {
+        autoResolveRaids();
+    }
+    updateRaidEncountersButton();
 }
 
 /**
- * Start the game and spawn first camel
+ * --- Raid Encounters: show the current setting on the menu button ---
  */
-function startGame() {
-    if (!isGameStarted) {
-        isGameStarted = true;
-        // Start background music on first interaction
-        backgroundMusic.play().catch(e => console.log('Music play error:', e));
+function updateRaidEncountersButton() {
+    if (!raidEncountersButton) {
+        return;
+    }
+    raidEncountersButton.querySelector('span').textContent = raidEncountersEnabled ? '⚔️' : '🎲';
+    raidEncountersButton.title = raidEncountersEnabled
+        ? 'Raid encounters on: fight bandits on screen (click for instant dice rolls)'
+        : 'Raid encounters off: raids resolve instantly (click to fight them on screen)';
+}
+
+/**
+ * --- Raid Encounters: start playing out the next queued raid ---
+ * Hidden tabs cannot be defended, so their raids resolve straight away.
+ */
+function startRaidEncounter() {
+    if (raidEncounter || economy.state.pendingRaids === 0) {
+        return;
+    }
+    if (document.hidden || !raidEncountersEnabled) {
+        autoResolveRaids();
+        return;
     }
     
-    // Play camel sound
-    camelSound.currentTime = 0; // Reset to beginning
-    camelSound.play().catch(e => console.log('Camel sound error:', e));
-    
-    spawnCamel();
+    const count = visualRandom.int(RAID_BANDITS_MIN, RAID_BANDITS_MAX);
+    const baseSpeed = canvas.width / 2 / (RAID_APPROACH_SECONDS * 1000 / PHYSICS_STEP_MS);
+    const bandits = [];
+    for (let i = 0; i < count; i++) {
+        const fromLeft = i % 2 === 0;
+        bandits.push({
+            x: fromLeft ? -BANDIT_SPRITE_SIZE * (1 + i) : canvas.width + BANDIT_SPRITE_SIZE * (1 + i),
+            direction: fromLeft ? 1 : -1,
+            speed: baseSpeed * visualRandom.range(0.8, 1.2),
+            state: 'approaching' // Then 'fleeing' once repelled or 'arrived' once it reaches the herd
+        });
+    }
+    raidEncounter = {
+        bandits,
+        guards: [],
+        guardsLeft: Math.min(economy.state.guardCampCount, MAX_DEPLOYED_GUARDS),
+        baseSpeed,
+        startedAt: Date.now()
+    };
+    showRaidBanner();
 }
 
 /**
- * Spawn a new camel
+ * --- Raid Encounters: banner with the deploy-guard button while bandits approach ---
  */
-function spawnCamel() {
-    // Check if image is loaded
-    if (!camelImage.complete) {
-        alert('Please wait for the camel image to load!');
+function showRaidBanner() {
+    if (!raidBanner) {
+        raidBanner = document.createElement('div');
+        raidBanner.className = 'raid-banner';
+        const text = document.createElement('span');
+        text.textContent = 'Bandits approach! Click them to drive them off.';
+        const deployButton = document.createElement('button');
+        deployButton.type = 'button';
+        deployButton.addEventListener('click', deployGuard);
+        raidBanner.appendChild(text);
+        raidBanner.appendChild(deployButton);
+        document.body.appendChild(raidBanner);
+    }
+    raidBanner.classList.remove('hidden');
+    updateRaidBanner();
+}
+
+/**
+ * --- Raid Encounters: refresh the deploy-guard button ---
+ */
+function updateRaidBanner() {
+    if (!raidBanner || !raidEncounter) {
         return;
     }
-    gainCamels(1, true);
+    const deployButton = raidBanner.querySelector('button');
+    deployButton.textContent = `🛡️ Send a guard (${raidEncounter.guardsLeft})`;
+    deployButton.disabled = raidEncounter.guardsLeft === 0;
+    deployButton.title = economy.state.guardCampCount > 0
+        ? 'Each guard camp lends one guard per raid'
+        : 'Build guard camps to send guards';
 }
 
 /**
- * Check collision between two camels
+ * --- Raid Encounters: send a guard after the bandit closest to the herd ---
  */
-function checkCollision(camel1, camel2) {
-    return camel1.x < camel2.x + camel2.width &&
-           camel1.x + camel1.width > camel2.x &&
-           camel1.y < camel2.y + camel2.height &&
-           camel1.y + camel1.height > camel2.y;
+function deployGuard() {
+    if (!raidEncounter || raidEncounter.guardsLeft === 0) {
+        return;
+    }
+    const target = raidEncounter.bandits
+        .filter(bandit => bandit.state === 'approaching' && !bandit.chasedBy)
+        .sort((a, b) => Math.abs(a.x - canvas.width / 2) - Math.abs(b.x - canvas.width / 2))[0];
+    if (!target) {
+        return;
+    }
+    const guard = { x: canvas.width / 2, target };
+    target.chasedBy = guard;
+    raidEncounter.guards.push(guard);
+    raidEncounter.guardsLeft -= 1;
+    updateRaidBanner();
 }
 
 /**
- * Handle collision between two camels
+ * --- Raid Encounters: turn back a bandit ---
+ * @param {Object} bandit - Bandit being repelled.
  */
-function handleCollision(camel1, camel2) {
-    // Calculate collision normal (direction from camel1 to camel2)
-    const dx = camel2.x - camel1.x;
-    const dy = camel2.y - camel1.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
-    
-    if (distance === 0) return; // Avoid division by zero
-    
-    const nx = dx / distance;
-    const ny = dy / distance;
-    
-    // Separate the camels
-    const overlap = (camel1.width + camel2.width) / 2 - distance;
-    if (overlap > 0) {
-        const separationX = nx * overlap * 0.5;
-        const separationY = ny * overlap * 0.5;
-        
-        camel1.x -= separationX;
-        camel1.y -= separationY;
-        camel2.x += separationX;
-        camel2.y += separationY;
+function repelBandit(bandit) {
+    bandit.state = 'fleeing';
+    bandit.direction = -bandit.direction;
+    bandit.speed *= 2;
+}
+
+/**
+ * --- Raid Encounters: repel the approaching bandit under the pointer ---
+ * @param {number} x - Canvas x.
+ * @param {number} y - Canvas y.
+ * @returns {boolean} - True when a bandit was hit.
+ */
+function hitBanditAt(x, y) {
+    const bandit = raidEncounter.bandits.find(candidate => candidate.state === 'approaching'
+        && Math.hypot(candidate.x - x, getGroundSurfaceY(candidate.x) - BANDIT_SPRITE_SIZE / 2 - y) <= BANDIT_HIT_RADIUS);
+    if (!bandit) {
+        return false;
     }
-    
-    // Calculate relative velocity
-    const relativeVelocityX = camel2.velocityX - camel1.velocityX;
-    const relativeVelocityY = camel2.velocityY - camel1.velocityY;
-    
-    // Calculate relative velocity along collision normal
-    const velocityAlongNormal = relativeVelocityX * nx + relativeVelocityY * ny;
-    
-    // Don't resolve if velocities are separating
-    if (velocityAlongNormal > 0) return;
-    
-    // Calculate restitution (bounciness)
-    const restitution = 0.6;
-    
-    // Calculate impulse scalar
-    let impulseScalar = -(1 + restitution) * velocityAlongNormal;
-    impulseScalar /= 2; // Since both camels have equal mass
-    
-    // Apply impulse
-    const impulseX = impulseScalar * nx;
-    const impulseY = impulseScalar * ny;
-    
-    camel1.velocityX -= impulseX;
-    camel1.velocityY -= impulseY;
-    camel2.velocityX += impulseX;
-    camel2.velocityY += impulseY;
-    
-    // Add minimal random rotation when colliding
-    camel1.rotationSpeed += (Math.random() - 0.5) * 0.05;
-    camel2.rotationSpeed += (Math.random() - 0.5) * 0.05;
+    repelBandit(bandit);
+    return true;
 }
 
 /**
- * Update camel physics
+ * --- Raid Encounters: advance bandits and guards one physics step ---
  */
-function updateCamels() {
-    camels.forEach((camel, index) => {
-        // Apply gravity
-        camel.velocityY += gravity;
-        
-        // Update position
-        camel.x += camel.velocityX;
-        camel.y += camel.velocityY;
-        
-        // Update rotation with damping
-        camel.rotation += camel.rotationSpeed;
-        camel.rotationSpeed *= 0.95; // Slow down rotation over time
-        
-        // Apply air resistance
-        camel.velocityX *= 0.99;
-        camel.velocityY *= 0.999;
-        
-        // Bounce off walls
-        if (camel.x <= 0 || camel.x >= canvas.width - camel.width) {
-            camel.velocityX *= -0.7; // Bounce with energy loss
-            camel.x = Math.max(0, Math.min(canvas.width - camel.width, camel.x));
-        }
-        
-        // Land on ground (only if ground collider is enabled)
-        if (groundColliderEnabled && camel.y >= groundY - camel.height) {
-            camel.y = groundY - camel.height;
-            camel.velocityY *= -0.3; // Bounce with energy loss
-            camel.velocityX *= 0.8; // Friction
-            camel.rotationSpeed *= 0.9; // Slow down rotation
+function updateRaidEncounter() {
+    if (!raidEncounter) {
+        return;
+    }
+    const herdX = canvas.width / 2;
+    raidEncounter.bandits.forEach(bandit => {
+        if (bandit.state === 'arrived') {
+            return;
         }
-        
-        // Stop very slow movements (only if ground collider is enabled)
-        if (groundColliderEnabled && Math.abs(camel.velocityY) < 0.1 && camel.y >= groundY - camel.height - 5) {
-            camel.velocityY = 0;
-            camel.rotationSpeed *= 0.8; // Gradually stop rotation when landed
+        bandit.x += bandit.direction * bandit.speed;
+        if (bandit.state === 'approaching' && (herdX - bandit.x) * bandit.direction <= 0) {
+            bandit.state = 'arrived';
         }
-        
-        // Stop very slow rotation
-        if (Math.abs(camel.rotationSpeed) < 0.001) {
-            camel.rotationSpeed = 0;
+    });
+    
+    raidEncounter.guards = raidEncounter.guards.filter(guard => {
+        if (guard.target.state !== 'approaching') {
+            return false;
         }
-        
-        // Remove camels that fall off screen
-        if (camel.y > canvas.height + 100) {
-            camels.splice(index, 1);
+        const gap = guard.target.x - guard.x;
+        const step = raidEncounter.baseSpeed * GUARD_SPEED_FACTOR;
+        if (Math.abs(gap) <= step + BANDIT_SPRITE_SIZE / 2) {
+            repelBandit(guard.target);
+            return false;
         }
+        guard.x += Math.sign(gap) * step;
+        return true;
     });
     
-    // Check collisions between all camels (always enabled)
-    for (let i = 0; i < camels.length; i++) {
-        for (let j = i + 1; j < camels.length; j++) {
-            if (checkCollision(camels[i], camels[j])) {
-                handleCollision(camels[i], camels[j]);
-            }
+    // --- Raid Encounters: over once every bandit has reached the herd or left the screen ---
+    const settled = raidEncounter.bandits.every(bandit => bandit.state === 'arrived'
+        || (bandit.state === 'fleeing' && (bandit.x < -BANDIT_SPRITE_SIZE || bandit.x > canvas.width + BANDIT_SPRITE_SIZE)));
+    if (settled) {
+        finishRaidEncounter();
+    }
+}
+
+/**
+ * --- Raid Encounters: share of the current encounter's bandits repelled so far ---
+ * @returns {number} - 0 to 1.
+ */
+function getRaidDefense() {
+    const repelled = raidEncounter.bandits.filter(bandit => bandit.state === 'fleeing').length;
+    return repelled / raidEncounter.bandits.length;
+}
+
+/**
+ * --- Raid Encounters: settle the raid by the share of bandits repelled, then start the next ---
+ */
+function finishRaidEncounter() {
+    const defense = getRaidDefense();
+    cancelRaidEncounter();
+    economy.resolvePendingRaid(defense);
+    startRaidEncounter();
+}
+
+/**
+ * --- Raid Encounters: drop the encounter on screen without settling it ---
+ */
+function cancelRaidEncounter() {
+    raidEncounter = null;
+    if (raidBanner) {
+        raidBanner.classList.add('hidden');
+    }
+}
+
+/**
+ * --- Raid Encounters: settle every queued raid without the player ---
+ * A running encounter keeps credit for the bandits already repelled.
+ */
+function autoResolveRaids() {
+    if (raidEncounter) {
+        const defense = getRaidDefense();
+        cancelRaidEncounter();
+        economy.resolvePendingRaid(defense);
+    }
+    while (economy.resolvePendingRaid(0)) {
+        // Each call settles one queued raid
+    }
+}
+
+/**
+ * --- Raid Encounters: draw bandits and the guards chasing them ---
+ */
+function drawRaidEncounter() {
+    if (!raidEncounter) {
+        return;
+    }
+    ctx.save();
+    ctx.font = `${BANDIT_SPRITE_SIZE}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    raidEncounter.bandits.forEach(bandit => {
+        if (bandit.state === 'arrived') {
+            return;
         }
+        ctx.globalAlpha = bandit.state === 'fleeing' ? 0.5 : 1;
+        ctx.fillText('🥷', bandit.x, getGroundSurfaceY(bandit.x));
+    });
+    ctx.globalAlpha = 1;
+    raidEncounter.guards.forEach(guard => {
+        ctx.fillText('💂', guard.x, getGroundSurfaceY(guard.x));
+    });
+    ctx.restore();
+}
+
+/**
+ * --- Day/Night & Weather: sideways push of the current sandstorm, rising and falling in gusts ---
+ * @returns {number} - Horizontal acceleration in pixels per physics step squared; 0 without wind.
+ */
+function getWindForce() {
+    const weather = CamelWeather.getActiveWeather(economy.state);
+    if (!weather || !weather.wind) {
+        return 0;
     }
+    windStep++;
+    return windDirection * WIND_FORCE * (1 + 0.5 * Math.sin(windStep / WIND_GUST_STEPS * 2 * Math.PI));
 }
 
 /**
- * Render all camels
+ * --- Day/Night & Weather: place a sand grain or raindrop somewhere on screen ---
+ * @param {Object} particle - Particle to reset.
+ * @param {boolean} atEdge - Start at the edge it blows in from instead of anywhere.
  */
-function renderCamels() {
-    camels.forEach(camel => {
-        ctx.save();
-        
-        // Move to camel's anchor point (pivot point)
-        ctx.translate(camel.x + camel.anchorX, camel.y + camel.anchorY);
-        
-        // Apply rotation around the anchor point
-        ctx.rotate(camel.rotation);
-        
-        // Apply scale
-        ctx.scale(camel.scale, camel.scale);
-        
-        // Draw camel image (offset by anchor point)
-        if (camelImage.complete) {
-            ctx.drawImage(
-                camelImage,
-                -camel.anchorX,
-                -camel.anchorY,
-                camel.width,
-                camel.height
-            );
+function resetWeatherParticle(particle, atEdge) {
+    particle.x = visualRandom.range(0, canvas.width);
+    particle.y = visualRandom.range(0, canvas.height);
+    particle.speed = visualRandom.range(8, 16);
+    particle.length = visualRandom.range(6, 18);
+    if (atEdge) {
+        if (particle.wind) {
+            particle.x = windDirection > 0 ? -particle.length : canvas.width + particle.length;
         } else {
-            // Fallback: draw colored rectangle if image not loaded
-            ctx.fillStyle = camel.color;
-            ctx.fillRect(-camel.anchorX, -camel.anchorY, camel.width, camel.height);
-            
-            // Draw simple camel shape
-            ctx.fillStyle = '#8B4513';
-            ctx.fillRect(-camel.anchorX - 20, -camel.anchorY - 30, 40, 20); // Body
-            ctx.fillRect(-camel.anchorX - 15, -camel.anchorY - 40, 15, 15); // Head
-            ctx.fillRect(-camel.anchorX - 10, -camel.anchorY - 45, 8, 8); // Hump
+            particle.y = -particle.length;
+        }
+    }
+}
+
+/**
+ * --- Day/Night & Weather: move sand and rain one physics step ---
+ */
+function updateWeatherParticles() {
+    const weather = CamelWeather.getActiveWeather(economy.state);
+    if (!weather) {
+        weatherParticles.length = 0;
+        return;
+    }
+    while (weatherParticles.length < WEATHER_PARTICLE_COUNT) {
+        const particle = { wind: weather.wind };
+        resetWeatherParticle(particle, false);
+        weatherParticles.push(particle);
+    }
+    weatherParticles.forEach(particle => {
+        if (particle.wind !== weather.wind) {
+            particle.wind = weather.wind;
+            resetWeatherParticle(particle, false);
+        }
+        if (particle.wind) {
+            particle.x += windDirection * particle.speed * 1.5;
+            particle.y += particle.speed * 0.1;
+        } else {
+            particle.x += 1;
+            particle.y += particle.speed;
+        }
+        if (particle.x < -50 || particle.x > canvas.width + 50 || particle.y > canvas.height) {
+            resetWeatherParticle(particle, true);
         }
-        
-        ctx.restore();
     });
 }
 
 /**
- * Draw the ground
+ * --- Day/Night & Weather: haze and streaks of the running weather event ---
  */
-function drawGround() {
-    ctx.fillStyle = '#8B7355';
-    ctx.fillRect(0, groundY, canvas.width, canvas.height - groundY);
-    
-    // Add some texture to ground
-    ctx.fillStyle = '#A0522D';
-    for (let i = 0; i < canvas.width; i += 20) {
-        ctx.fillRect(i, groundY, 10, 10);
+function drawWeather() {
+    const weather = CamelWeather.getActiveWeather(economy.state);
+    if (!weather) {
+        return;
+    }
+    ctx.save();
+    ctx.fillStyle = weather.wind ? 'rgba(194, 154, 96, 0.3)' : 'rgba(90, 110, 140, 0.2)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.strokeStyle = weather.wind ? 'rgba(230, 200, 150, 0.7)' : 'rgba(190, 215, 255, 0.6)';
+    ctx.lineWidth = weather.wind ? 2 : 1.5;
+    ctx.beginPath();
+    weatherParticles.forEach(particle => {
+        ctx.moveTo(particle.x, particle.y);
+        if (particle.wind) {
+            ctx.lineTo(particle.x - windDirection * particle.length, particle.y);
+        } else {
+            ctx.lineTo(particle.x - 2, particle.y - particle.length);
+        }
+    });
+    ctx.stroke();
+    ctx.restore();
+}
+
+/**
+ * --- Day/Night & Weather: darken the scene at night and warm it around dawn and dusk ---
+ * The day follows the wall clock, so every tab and slot shares the same sky.
+ */
+function drawDayNightTint() {
+    const phase = (Date.now() % DAY_LENGTH_MS) / DAY_LENGTH_MS; // 0 is sunrise, 0.5 sunset
+    const sunHeight = Math.sin(phase * 2 * Math.PI);
+    const night = Math.max(0, -sunHeight) * NIGHT_MAX_ALPHA;
+    const dusk = Math.max(0, 1 - Math.abs(sunHeight) * 4) * DUSK_MAX_ALPHA;
+    if (night > 0) {
+        ctx.fillStyle = `rgba(15, 25, 70, ${night})`;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    if (dusk > 0) {
+        ctx.fillStyle = `rgba(255, 120, 40, ${dusk})`;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
     }
 }
 
@@ -1015,19 +3581,50 @@ function onWindowResize() {
     canvas.width = window.innerWidth;
     canvas.height = window.innerHeight;
     groundY = canvas.height - 100;
+    resetGroundProfile();
+    // --- Rigid Bodies: the ground and walls moved, so resting camels must resettle ---
+    wakeAllCamels();
 }
 
 /**
  * Animation loop
+ * @param {number} timestamp - High resolution time from requestAnimationFrame.
  */
-function animate() {
+function animate(timestamp) {
+    // --- Fixed Timestep: accumulate real frame time and spend it in whole steps ---
+    if (lastFrameTime === null) {
+        lastFrameTime = timestamp;
+    }
+    physicsAccumulator += Math.min(timestamp - lastFrameTime, MAX_FRAME_DELTA_MS);
+    lastFrameTime = timestamp;
+    
+    const physicsStart = performance.now();
+    while (physicsAccumulator >= PHYSICS_STEP_MS) {
+        const stepStart = performance.now();
+        camels.forEach(storePreviousTransform);
+        updateCamels();
+        updateRaidEncounter();
+        updateWeatherParticles();
+        physicsAccumulator -= PHYSICS_STEP_MS;
+        measurePhysicsStep(performance.now() - stepStart);
+        
+        // --- Broadphase: over budget, drop the backlog rather than the frame rate ---
+        if (performance.now() - physicsStart > physicsFrameBudgetMs) {
+            physicsAccumulator = Math.min(physicsAccumulator, PHYSICS_STEP_MS);
+            break;
+        }
+    }
+    
     // Clear canvas
     ctx.clearRect(0, 0, canvas.width, canvas.height);
     
-    // Update and render
-    updateCamels();
+    // Render
     drawGround();
-    renderCamels();
+    drawHerdPile();
+    renderCamels(physicsAccumulator / PHYSICS_STEP_MS);
+    drawRaidEncounter();
+    drawWeather();
+    drawDayNightTint();
     
     // Continue animation
     requestAnimationFrame(animate);
@@ -1035,47 +3632,26 @@ function animate() {
 
 /**
  * Handle shovel button click
+ * --- Shovel: toggles dig mode; pressing the ground then digs where the pointer is ---
  */
 function handleShovelClick() {
-    if (shovelActive) return; // Prevent multiple activations
-    
-    shovelActive = true;
-    groundColliderEnabled = false; // Disable ground collider so camels fall through
+    shovelActive = !shovelActive;
+    activeDigs.clear();
     
     // Add active class for visual feedback
     const shovelButton = document.getElementById('shovelButton');
-    shovelButton.classList.add('active');
-    
-    // Increase gravity to make camels fall faster
-    const originalGravity = gravity;
-    gravity = 2; // Much stronger gravity
-    
-    // Make all camels fall down faster
-    camels.forEach(camel => {
-        camel.velocityY += 5; // Push them down
-    });
+    shovelButton.classList.toggle('active', shovelActive);
+    canvas.classList.toggle('shovel-mode', shovelActive);
     
-    // After 3 seconds, remove camels and restore ground collider
-    setTimeout(() => {
-        // Remove all camels that have fallen off screen (they'll be removed automatically)
-        // Camels falling through will be removed in the update loop when y > canvas.height + 100
-        
-        // Restore gravity and ground collider
-        gravity = originalGravity;
-        groundColliderEnabled = true; // Re-enable ground collider so new camels don't fall through
-        shovelActive = false;
-        
-        // Remove active class
-        shovelButton.classList.remove('active');
-    }, 3000); // 3 seconds
+    logEvent('economy', shovelActive ? 'Shovel ready: click or drag on the ground to dig ⛏️' : 'Shovel put away.', { key: 'shovel' });
 }
 
 /**
  * Update counter displays
  */
 function updateCounters() {
-    document.getElementById('counter').textContent = counter;
-    document.getElementById('goldAmount').textContent = goldAmount;
+    document.getElementById('counter').textContent = economy.state.counter;
+    document.getElementById('goldAmount').textContent = economy.state.goldAmount;
     updateIncrementalCounters();
 }
 
@@ -1085,35 +3661,79 @@ function updateCounters() {
 function updateCaravanButton() {
     const caravanButton = document.getElementById('caravanButton');
     
-    if (counter >= 100) {
+    if (economy.state.counter >= CamelEconomy.CARAVAN_CAMEL_COST) {
         // --- Incremental Loop System: button ready to convert camels ---
         caravanButton.classList.remove('disabled');
-        caravanButton.title = 'Convert 100 camels into a caravan 🏕️';
+        caravanButton.title = 'Caravan routes: send 100 camels to a destination 🏕️';
     } else {
         // --- Incremental Loop System: not enough camels yet ---
         caravanButton.classList.add('disabled');
-        caravanButton.title = 'Needs 100 camels to form a caravan';
+        caravanButton.title = 'Caravan routes: needs 100 camels to form a caravan';
     }
 }
 
 /**
  * Handle caravan button click
+ * --- Caravan Routes: pick a destination in the routes panel ---
  */
 function handleCaravanClick() {
-    if (counter < 100) {
+    openCaravanRoutesPanel();
+}
+
+/**
+ * --- Caravan Routes: list every destination with its terms and a send button ---
+ */
+function openCaravanRoutesPanel() {
+    if (caravanRoutesPanel) {
         return;
     }
+    const { body, actions, close } = createModalPanel('Caravan routes');
+    const render = () => {
+        const state = economy.state;
+        body.textContent = '';
+        
+        const intro = document.createElement('p');
+        intro.textContent = `Each caravan costs ${CamelEconomy.CARAVAN_CAMEL_COST} 🐪 and keeps travelling its route. You have ${state.counter} 🐪.`;
+        body.appendChild(intro);
+        
+        // --- Caravan Routes: show the ambush chance after guard camps and escorts ---
+        const guardFactor = CamelEconomy.getGuardLossFactor(state);
+        const immune = CamelUpgrades.hasCaravanLossImmunity(state);
+        CamelRoutes.ROUTES.forEach(route => {
+            const row = document.createElement('div');
+            row.className = 'upgrade-row';
+            
+            const title = document.createElement('strong');
+            title.textContent = `${route.icon} ${route.name} (${state.caravanRoutes[route.id] || 0} caravans)`;
+            const terms = document.createElement('p');
+            const risk = immune ? 0 : route.risk * guardFactor;
+            terms.textContent = `⏱️ ${formatDuration(route.travelSeconds)} · 🪙 ${route.minGold}–${route.maxGold} per caravan · `
+                + `🌿 ${route.cargo > 0 ? `${route.cargo} per caravan per trip` : 'no cargo'} · 💀 ${Math.round(risk * 100)}% ambush risk`;
+            const meta = document.createElement('p');
+            meta.className = 'slot-meta';
+            meta.textContent = `About ${Math.round((route.minGold + route.maxGold) / 2 / route.travelSeconds * 60)} 🪙 per caravan per minute before losses.`;
+            
+            const rowActions = document.createElement('div');
+            rowActions.className = 'modal-actions';
+            const sendButton = addModalButton(rowActions, 'Send a caravan', () => {
+                economy.formCaravan(route.id);
+            });
+            sendButton.disabled = state.counter < CamelEconomy.CARAVAN_CAMEL_COST;
+            
+            row.appendChild(title);
+            row.appendChild(terms);
+            row.appendChild(meta);
+            row.appendChild(rowActions);
+            body.appendChild(row);
+        });
+    };
     
-    if (!spendCamels(100)) {
-        return;
-    }
-    // --- Incremental Loop System: establish a new caravan ---
-    caravanCount += 1;
-    updateIncrementalCounters();
-    updateCaravanProgressBar();
-    updateNomadButtonState();
-    updateStatusMessage('Caravan assembled! 🏕️');
-    queueSaveGameState();
+    caravanRoutesPanel = { render };
+    addModalButton(actions, 'Close', () => {
+        caravanRoutesPanel = null;
+        close();
+    });
+    render();
 }
 
 // Start the game when the page loads
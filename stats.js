@@ -0,0 +1,134 @@
+/**
+ * Camel Drop Game - Statistics
+ * Lifetime and per-run totals folded from EconomyEvents. The run totals start
+ * over at every Nomad Migration; lifetime totals never reset. DOM-free; also
+ * loads in Node.
+ */
+(function (root) {
+    /**
+     * @typedef {Object} StatDefinition
+     * @property {string} key - Key in both StatsState blocks.
+     * @property {string} icon - Emoji shown in the panel.
+     * @property {string} label - Display name.
+     * @property {string} [format] - 'duration' for seconds; plain numbers otherwise.
+     */
+
+    /**
+     * @typedef {Object} StatsState
+     * @property {Object<string, number>} lifetime - Totals across every run.
+     * @property {Object<string, number>} run - Totals since the last migration.
+     */
+
+    /** @type {StatDefinition[]} */
+    const STATS = [
+        { key: 'camelsDropped', icon: '🐪', label: 'Camels dropped' },
+        { key: 'camelsBred', icon: '🏡', label: 'Camels bred' },
+        { key: 'caravansFormed', icon: '🏕️', label: 'Caravans formed' },
+        { key: 'caravanGold', icon: '🪙', label: 'Gold from caravans' },
+        { key: 'marketGold', icon: '⚖️', label: 'Gold from trading' },
+        { key: 'goldStolen', icon: '💀', label: 'Gold stolen by bandits' },
+        { key: 'caravansLost', icon: '🏴', label: 'Caravans lost' },
+        { key: 'grassGrown', icon: '🌿', label: 'Grass grown' },
+        { key: 'grassEaten', icon: '🍽️', label: 'Grass eaten' },
+        { key: 'camelsStarved', icon: '🦴', label: 'Camels starved' },
+        { key: 'migrations', icon: '🔄', label: 'Nomad Migrations' },
+        { key: 'timePlayed', icon: '⏱️', label: 'Time played', format: 'duration' }
+    ];
+
+    /**
+     * --- Statistics: build a stats state, keeping valid saved totals ---
+     * @param {Object} [data] - Saved StatsState.
+     * @returns {StatsState} - Clean state with every stat present.
+     */
+    function createStatsState(data) {
+        const state = { lifetime: {}, run: {} };
+        ['lifetime', 'run'].forEach(block => {
+            const saved = (data && data[block]) || {};
+            STATS.forEach(stat => {
+                state[block][stat.key] = Number.isFinite(saved[stat.key]) ? saved[stat.key] : 0;
+            });
+        });
+        return state;
+    }
+
+    /**
+     * --- Statistics: add to a stat in both the run and lifetime totals ---
+     * @param {StatsState} state - Stats state.
+     * @param {string} key - Stat key.
+     * @param {number} amount - Amount to add.
+     */
+    function addStat(state, key, amount) {
+        state.lifetime[key] += amount;
+        state.run[key] += amount;
+    }
+
+    /**
+     * --- Statistics: fold one economy event into the totals ---
+     * @param {StatsState} state - Stats state.
+     * @param {Object} event - EconomyEvent from economy.js.
+     */
+    function recordEvent(state, event) {
+        switch (event.type) {
+            case 'camelsGained':
+                addStat(state, event.source === 'farm' ? 'camelsBred' : 'camelsDropped', event.amount);
+                break;
+            case 'caravanFormed':
+                addStat(state, 'caravansFormed', 1);
+                break;
+            case 'goldGained':
+                if (event.source === 'caravan') {
+                    addStat(state, 'caravanGold', event.amount);
+                } else if (event.source === 'market') {
+                    addStat(state, 'marketGold', event.amount);
+                }
+                break;
+            case 'caravanArrived':
+                addStat(state, 'caravansLost', event.lost);
+                break;
+            case 'banditRaid':
+                addStat(state, 'goldStolen', event.goldStolen);
+                addStat(state, 'caravansLost', event.caravanLost ? 1 : 0);
+                break;
+            case 'grassGrown':
+                addStat(state, 'grassGrown', event.amount);
+                break;
+            case 'herdGrazed':
+                addStat(state, 'grassEaten', event.amount);
+                break;
+            case 'camelsStarved':
+                addStat(state, 'camelsStarved', event.amount);
+                break;
+            case 'migration':
+                // --- Statistics: a migration ends the run; the new run starts from zero ---
+                state.lifetime.migrations += 1;
+                STATS.forEach(stat => {
+                    state.run[stat.key] = 0;
+                });
+                break;
+        }
+    }
+
+    /**
+     * --- Statistics: count seconds spent with the game open ---
+     * @param {StatsState} state - Stats state.
+     * @param {number} seconds - Live seconds to add.
+     */
+    function addPlayTime(state, seconds) {
+        if (seconds > 0) {
+            addStat(state, 'timePlayed', seconds);
+        }
+    }
+
+    const CamelStats = {
+        STATS,
+        createStatsState,
+        recordEvent,
+        addPlayTime
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CamelStats;
+    } else {
+        root.CamelStats = CamelStats;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,73 @@
+/**
+ * Camel Drop Game - Camel Breeds tests
+ * Breed rolls and herd bookkeeping, run with `npm test`.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const CamelBreeds = require('../breeds.js');
+const CamelRandom = require('../random.js');
+
+/**
+ * @param {Object} herd - Breed id -> count map.
+ * @returns {number} - Camels in the herd.
+ */
+function herdSize(herd) {
+    return Object.keys(herd).reduce((sum, id) => sum + herd[id], 0);
+}
+
+test('one roll walks the breed odds in order', () => {
+    assert.strictEqual(CamelBreeds.pickBreed(0, 'dropChance').id, 'dromedary');
+    assert.strictEqual(CamelBreeds.pickBreed(0.74, 'dropChance').id, 'dromedary');
+    assert.strictEqual(CamelBreeds.pickBreed(0.75, 'dropChance').id, 'bactrian');
+    assert.strictEqual(CamelBreeds.pickBreed(0.95, 'dropChance').id, 'white');
+    assert.strictEqual(CamelBreeds.pickBreed(0.995, 'dropChance').id, 'golden');
+    assert.strictEqual(CamelBreeds.pickBreed(0.8, 'farmChance').id, 'bactrian');
+});
+
+test('a single camel takes exactly one draw and matches the drop odds', () => {
+    const random = CamelRandom.createRandom(2024);
+    let draws = 0;
+    const counts = {};
+    const rolls = 100000;
+    for (let i = 0; i < rolls; i++) {
+        const breeds = CamelBreeds.rollBreeds(1, 'drop', () => {
+            draws++;
+            return random.next();
+        });
+        const id = Object.keys(breeds)[0];
+        counts[id] = (counts[id] || 0) + breeds[id];
+    }
+    assert.strictEqual(draws, rolls);
+    CamelBreeds.BREEDS.forEach(breed => {
+        assert.ok(Math.abs(counts[breed.id] / rolls - breed.dropChance) < 0.01, breed.id);
+    });
+});
+
+test('a farm batch adds up to its size and keeps rare breeds near their odds', () => {
+    const random = CamelRandom.createRandom(11);
+    const breeds = CamelBreeds.rollBreeds(10000, 'farm', () => random.next());
+    assert.strictEqual(herdSize(breeds), 10000);
+    CamelBreeds.BREEDS.forEach(breed => {
+        assert.ok(Math.abs((breeds[breed.id] || 0) - 10000 * breed.farmChance) <= 1, breed.id);
+    });
+});
+
+test('camels leave every breed in proportion to its share', () => {
+    const herd = { dromedary: 75, bactrian: 18, white: 6, golden: 1 };
+    CamelBreeds.removeFromHerd(herd, 10);
+    assert.deepStrictEqual(herd, { dromedary: 68, bactrian: 16, white: 5, golden: 1 });
+
+    const even = { dromedary: 2, bactrian: 2 };
+    CamelBreeds.removeFromHerd(even, 1);
+    assert.deepStrictEqual(even, { dromedary: 1, bactrian: 2 }, 'ties go to the commoner breed');
+
+    const small = { dromedary: 1, white: 1 };
+    CamelBreeds.removeFromHerd(small, 5);
+    assert.deepStrictEqual(small, {});
+});
+
+test('a saved herd is made to add up to the camels owned', () => {
+    assert.deepStrictEqual(CamelBreeds.normalizeHerd({ white: 2 }, 10), { white: 2, dromedary: 8 });
+    assert.deepStrictEqual(CamelBreeds.normalizeHerd({ dromedary: 6, golden: 2, unicorn: 5 }, 4), { dromedary: 3, golden: 1 });
+    assert.deepStrictEqual(CamelBreeds.normalizeHerd(undefined, 3), { dromedary: 3 });
+});
@@ -0,0 +1,260 @@
+/**
+ * Camel Drop Game - Economy Engine tests
+ * Drives the DOM-free modules straight from Node: run with `npm test`.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const CamelEconomy = require('../economy.js');
+const CamelSave = require('../save.js');
+const CamelMarket = require('../market.js');
+
+/** --- Economy tests: a mid-game herd with every building and a caravan on the road --- */
+const SEEDED_GAME = {
+    rngSeed: 12345,
+    counter: 400,
+    goldAmount: 5000,
+    grassAmount: 200,
+    farmCount: 5,
+    grasslandCount: 4,
+    guardCampCount: 1,
+    caravanCount: 2,
+    caravanRoutes: { oasis: 2 }
+};
+
+/**
+ * --- Economy tests: play a seeded game for a while ---
+ * @returns {{state: Object, tally: Object}} - Final state and the catch-up tally.
+ */
+function playSeededGame() {
+    const economy = CamelEconomy.createEconomy(SEEDED_GAME);
+    for (let i = 0; i < 120; i++) {
+        economy.tick(0.5);
+    }
+    const tally = economy.simulate(3600, { maxSeconds: 8 * 3600, stepSeconds: 1 });
+    return { state: economy.state, tally };
+}
+
+test('a seeded game plays out the same every time', () => {
+    const first = playSeededGame();
+    const second = playSeededGame();
+    assert.deepStrictEqual(second.state, first.state);
+    assert.deepStrictEqual(second.tally, first.tally);
+    assert.strictEqual(first.tally.simulatedSeconds, 3600);
+});
+
+test('catch-up replays at most maxSeconds, in live-sized ticks', () => {
+    const caughtUp = CamelEconomy.createEconomy(SEEDED_GAME);
+    const events = [];
+    caughtUp.subscribe(event => events.push(event));
+    const tally = caughtUp.simulate(600, { maxSeconds: 90, stepSeconds: 1 });
+
+    const live = CamelEconomy.createEconomy(SEEDED_GAME);
+    for (let i = 0; i < 90; i++) {
+        live.tick(1);
+    }
+    assert.strictEqual(tally.elapsedSeconds, 600);
+    assert.strictEqual(tally.simulatedSeconds, 90);
+    assert.deepStrictEqual(caughtUp.state, live.state);
+    assert.ok(events.length > 0 && events.every(event => event.catchUp));
+});
+
+test('catch-up shorter than one step simulates nothing', () => {
+    const economy = CamelEconomy.createEconomy(SEEDED_GAME);
+    const before = JSON.stringify(economy.state);
+    assert.strictEqual(economy.simulate(0.5, { maxSeconds: 90, stepSeconds: 1 }), null);
+    assert.strictEqual(economy.simulate(-30, { maxSeconds: 90, stepSeconds: 1 }), null);
+    assert.strictEqual(JSON.stringify(economy.state), before);
+});
+
+test('buying a farm spends its gold cost', () => {
+    const economy = CamelEconomy.createEconomy(SEEDED_GAME);
+    const cost = economy.getBuildingCost('farm', 1);
+    const events = [];
+    economy.subscribe(event => events.push(event));
+
+    assert.ok(economy.purchaseBuilding('farm'));
+    assert.strictEqual(economy.state.farmCount, SEEDED_GAME.farmCount + 1);
+    assert.strictEqual(economy.state.goldAmount, SEEDED_GAME.goldAmount - cost);
+    assert.ok(events.some(event => event.type === 'buildingPurchased' && event.cost === cost));
+});
+
+test('buying a building without enough gold changes nothing', () => {
+    const economy = CamelEconomy.createEconomy(Object.assign({}, SEEDED_GAME, { goldAmount: 0 }));
+    assert.strictEqual(economy.purchaseBuilding('farm'), false);
+    assert.strictEqual(economy.state.farmCount, SEEDED_GAME.farmCount);
+});
+
+test('caravans on a cargo route wait at camp until their grass is loaded', () => {
+    // Armed escorts keep bandits off, so both caravans always come home
+    const state = CamelEconomy.createEconomyState({
+        rngSeed: 7,
+        caravanCount: 2,
+        caravanRoutes: { saltMines: 2 },
+        grassAmount: 30,
+        nomadUpgrades: { armedEscorts: 1 }
+    });
+    const events = [];
+    const emit = (type, detail) => events.push(Object.assign({ type }, detail));
+
+    CamelEconomy.processCaravanRoutes(state, 10, emit);
+    assert.strictEqual(state.grassAmount, 30);
+    assert.strictEqual(state.routeTimers.saltMines, undefined);
+
+    state.grassAmount = 100;
+    CamelEconomy.processCaravanRoutes(state, 10, emit);
+    assert.strictEqual(state.grassAmount, 60);
+    assert.strictEqual(state.routeCargo.saltMines, 40);
+    assert.strictEqual(state.routeTimers.saltMines, 10);
+    assert.deepStrictEqual(events.map(event => event.type), ['cargoLoaded']);
+
+    // --- Economy tests: the trip ends, and the next one loads fresh cargo from what is left ---
+    CamelEconomy.processCaravanRoutes(state, 170, emit);
+    const arrival = events.find(event => event.type === 'caravanArrived');
+    assert.strictEqual(arrival.caravans, 2);
+    assert.ok(arrival.gold >= 2 * 60);
+    assert.strictEqual(state.routeTimers.saltMines, 0);
+    assert.strictEqual(state.routeCargo.saltMines, 40);
+    assert.strictEqual(state.grassAmount, 20);
+});
+
+test('a drift step pulls prices towards their base and stays in range', () => {
+    assert.strictEqual(CamelMarket.driftFactor(1, 0.5), 1);
+    assert.ok(Math.abs(CamelMarket.driftFactor(2, 0.5) - 1.95) < 1e-9);
+    assert.ok(Math.abs(CamelMarket.driftFactor(0.5, 0.5) - 0.525) < 1e-9);
+    assert.ok(CamelMarket.driftFactor(CamelMarket.MAX_PRICE_FACTOR, 0.999) < CamelMarket.MAX_PRICE_FACTOR);
+    assert.strictEqual(CamelMarket.driftFactor(CamelMarket.MIN_PRICE_FACTOR, 0), CamelMarket.MIN_PRICE_FACTOR);
+});
+
+test('market prices drift once per cycle and hover around their base', () => {
+    const state = CamelEconomy.createEconomyState({ rngSeed: 3 });
+    const moves = [];
+    const emit = (type, detail) => moves.push(Object.assign({ type }, detail));
+
+    CamelEconomy.processMarketDrift(state, CamelMarket.DRIFT_CYCLE_SECONDS - 1, emit);
+    assert.deepStrictEqual(state.marketPrices, { camel: 1, grass: 1 });
+    assert.strictEqual(moves.length, 0);
+
+    CamelEconomy.processMarketDrift(state, CamelMarket.DRIFT_CYCLE_SECONDS + 5, emit);
+    assert.strictEqual(state.marketTimer, 4);
+    assert.strictEqual(moves.length, 1);
+    assert.notDeepStrictEqual(moves[0].prices, { camel: 1, grass: 1 });
+
+    let total = 0;
+    for (let i = 0; i < 2000; i++) {
+        CamelEconomy.processMarketDrift(state, CamelMarket.DRIFT_CYCLE_SECONDS, emit);
+        const factor = state.marketPrices.camel;
+        assert.ok(factor >= CamelMarket.MIN_PRICE_FACTOR && factor <= CamelMarket.MAX_PRICE_FACTOR);
+        total += factor;
+    }
+    assert.ok(Math.abs(total / 2000 - 1) < 0.1);
+});
+
+test('a starving herd is warned on the way down before any camel dies', () => {
+    const state = CamelEconomy.createEconomyState({ rngSeed: 5, counter: 1000, herdBreeds: { dromedary: 900, white: 100 } });
+    const events = [];
+    const emit = (type, detail) => events.push(Object.assign({ type }, detail));
+
+    // No grass at all: the desert covers 50 of the 1000 needed, so each cycle costs 9.5 health
+    CamelEconomy.processGrassConsumption(state, 11 * 10, emit);
+    assert.strictEqual(state.herdHealth, 0);
+    assert.strictEqual(state.counter, 1000);
+    assert.deepStrictEqual(events.filter(event => event.type === 'herdWeakened').map(event => event.threshold), [75, 50, 25]);
+    assert.strictEqual(events.some(event => event.type === 'camelsStarved'), false);
+});
+
+test('a herd at zero health loses a share of its camels every hungry cycle', () => {
+    const state = CamelEconomy.createEconomyState({ rngSeed: 5, counter: 1000, herdHealth: 0, herdBreeds: { dromedary: 900, white: 100 } });
+    const events = [];
+    const emit = (type, detail) => events.push(Object.assign({ type }, detail));
+
+    assert.ok(CamelEconomy.updateHerdHealth(state, 2, 1, emit));
+    // 5% of 1000, then 5% of the 950 left
+    assert.strictEqual(state.counter, 1000 - 50 - 48);
+    assert.deepStrictEqual(state.herdBreeds, { dromedary: 812, white: 90 });
+    assert.deepStrictEqual(events.map(event => event.type), ['camelsStarved']);
+    assert.strictEqual(CamelEconomy.getHerdHealthFactor(state), 0.25);
+});
+
+test('fed herds recover and small herds live off the desert', () => {
+    const recovering = CamelEconomy.createEconomyState({ rngSeed: 5, herdHealth: 90 });
+    const events = [];
+    const emit = (type, detail) => events.push(Object.assign({ type }, detail));
+    assert.strictEqual(CamelEconomy.updateHerdHealth(recovering, 2, 0, emit), false);
+    assert.strictEqual(recovering.herdHealth, CamelEconomy.MAX_HERD_HEALTH);
+    assert.deepStrictEqual(events.map(event => event.type), ['herdRecovered']);
+
+    const small = CamelEconomy.createEconomyState({ rngSeed: 5, counter: 40 });
+    CamelEconomy.processGrassConsumption(small, 10 * 60, () => {});
+    assert.strictEqual(small.herdHealth, CamelEconomy.MAX_HERD_HEALTH);
+    assert.strictEqual(small.counter, 40);
+
+    assert.strictEqual(CamelEconomy.getHerdHealthFactor({ herdHealth: CamelEconomy.WEAK_HERD_HEALTH }), 1);
+    assert.strictEqual(CamelEconomy.getHerdHealthFactor({ herdHealth: 25 }), 0.5);
+});
+
+test('a locked building refuses to be bought until its condition is met', () => {
+    const economy = CamelEconomy.createEconomy({ rngSeed: 1, goldAmount: 5000, farmCount: 1, caravanCount: 2 });
+    assert.strictEqual(economy.isBuildingUnlocked('grassland'), false);
+    assert.strictEqual(economy.purchaseBuilding('grassland'), false);
+    assert.strictEqual(economy.purchaseBuilding('guardCamp'), false);
+    assert.strictEqual(economy.state.goldAmount, 5000);
+
+    assert.ok(economy.purchaseBuilding('farm'));
+    assert.ok(economy.purchaseBuilding('grassland'));
+    assert.strictEqual(economy.state.grasslandCount, 1);
+});
+
+test('a flat v1 save migrates to the current version', () => {
+    const legacy = {
+        counter: 150,
+        goldAmount: 40,
+        caravanCount: 1,
+        caravanGoldTimer: 12,
+        farmCount: 2,
+        lastSavedAt: 1700000000000
+    };
+    const { payload, issues } = CamelSave.readSave(JSON.stringify(legacy), 1700000060000);
+
+    assert.strictEqual(payload.version, CamelSave.SAVE_VERSION);
+    assert.strictEqual(payload.lastSavedAt, legacy.lastSavedAt);
+    assert.strictEqual(payload.economy.counter, 150);
+    assert.deepStrictEqual(payload.economy.caravanRoutes, { oasis: 1 });
+    assert.deepStrictEqual(payload.economy.routeTimers, { oasis: 12 });
+    assert.strictEqual(payload.economy.caravanGoldTimer, undefined);
+    assert.deepStrictEqual(issues, []);
+
+    const economy = CamelEconomy.createEconomy(payload.economy);
+    assert.strictEqual(economy.state.caravanRoutes.oasis, 1);
+});
+
+test('a v2 save sends its caravans down the oasis route', () => {
+    const v2 = {
+        version: 2,
+        lastSavedAt: 1700000000000,
+        economy: { counter: 500, caravanCount: 3, caravanGoldTimer: 42 },
+        visualRngState: 5
+    };
+    const payload = CamelSave.migrateSave(v2);
+
+    assert.strictEqual(payload.version, 3);
+    assert.deepStrictEqual(payload.economy.caravanRoutes, { oasis: 3 });
+    assert.deepStrictEqual(payload.economy.routeTimers, { oasis: 42 });
+    assert.strictEqual('caravanGoldTimer' in payload.economy, false);
+    assert.strictEqual(payload.visualRngState, 5);
+    assert.strictEqual(v2.economy.caravanGoldTimer, 42, 'the original save is left untouched');
+
+    const idle = CamelSave.migrateSave({ version: 2, economy: { caravanCount: 0 } });
+    assert.deepStrictEqual(idle.economy.caravanRoutes, {});
+    assert.deepStrictEqual(idle.economy.routeTimers, {});
+});
+
+test('a save from a newer version is refused', () => {
+    assert.throws(() => CamelSave.migrateSave({ version: CamelSave.SAVE_VERSION + 1, economy: {} }), /newer/);
+});
+
+test('every guard camp lowers the caravan loss chance by less than the last', () => {
+    const factors = [0, 1, 2, 3].map(guardCampCount =>
+        CamelEconomy.getGuardLossFactor(CamelEconomy.createEconomyState({ guardCampCount })));
+    assert.deepStrictEqual(factors, [1, 1 / 2, 1 / 3, 1 / 4]);
+    assert.ok(factors[0] - factors[1] > factors[1] - factors[2]);
+});
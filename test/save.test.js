@@ -0,0 +1,96 @@
+/**
+ * Camel Drop Game - Save Format tests
+ * Save codes, checksums and save validation, run with `npm test`.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const CamelSave = require('../save.js');
+const CamelEventLog = require('../eventlog.js');
+
+/** --- Save tests: a current-version save with a little of everything --- */
+const SAVE = {
+    version: CamelSave.SAVE_VERSION,
+    lastSavedAt: 1700000000000,
+    economy: {
+        counter: 250,
+        goldAmount: 1200,
+        farmCount: 3,
+        caravanCount: 1,
+        caravanRoutes: { oasis: 1 },
+        rngSeed: 99,
+        rngState: 12345
+    },
+    visualRngState: 777
+};
+
+/**
+ * --- Save tests: swap one character of a code's data part for another ---
+ * @param {string} code - Save code.
+ * @returns {string} - Same code with its data damaged.
+ */
+function damageCode(code) {
+    const parts = code.split('.');
+    const data = parts[3];
+    const middle = Math.floor(data.length / 2);
+    parts[3] = data.slice(0, middle) + (data[middle] === 'A' ? 'B' : 'A') + data.slice(middle + 1);
+    return parts.join('.');
+}
+
+test('the checksum is the standard CRC-32', () => {
+    assert.strictEqual(CamelSave.checksum(new TextEncoder().encode('123456789')), 'cbf43926');
+    assert.strictEqual(CamelSave.checksum(new Uint8Array(0)), '00000000');
+});
+
+test('a save code round-trips to the same save', async () => {
+    const code = await CamelSave.encodeSaveCode(SAVE);
+    assert.match(code, /^CAMEL\.3\.[zp]\.[\w-]+\.[0-9a-f]{8}$/);
+    const { payload, issues } = await CamelSave.decodeSaveCode(`  ${code.slice(0, 20)}\n${code.slice(20)}  `);
+    assert.deepStrictEqual(payload, SAVE);
+    assert.deepStrictEqual(issues, []);
+});
+
+test('a damaged save code is refused by its checksum', async () => {
+    const code = await CamelSave.encodeSaveCode(SAVE);
+    await assert.rejects(CamelSave.decodeSaveCode(damageCode(code)), /checksum mismatch/);
+});
+
+test('text that is not a save code is refused', async () => {
+    await assert.rejects(CamelSave.decodeSaveCode('hello'), /does not look like a camel save code/);
+    await assert.rejects(CamelSave.decodeSaveCode('CAMEL.3.p.abc'), /does not look like a camel save code/);
+    const code = await CamelSave.encodeSaveCode(SAVE);
+    await assert.rejects(CamelSave.decodeSaveCode(code.replace(/\.[zp]\./, '.q.')), /Unknown save code compression/);
+});
+
+test('out-of-range values are clamped and reported', () => {
+    const saved = Object.assign({}, SAVE, {
+        lastSavedAt: 1800000000000,
+        economy: Object.assign({}, SAVE.economy, { counter: -5, farmCount: 2.7, herdHealth: 250, mystery: 1 })
+    });
+    const { payload, issues } = CamelSave.validateSave(saved, 1700000000000);
+
+    assert.strictEqual(payload.economy.counter, 0);
+    assert.strictEqual(payload.economy.farmCount, 2);
+    assert.strictEqual(payload.economy.herdHealth, 100);
+    assert.strictEqual(payload.economy.mystery, undefined);
+    assert.strictEqual(payload.lastSavedAt, 1700000000000);
+    assert.strictEqual(issues.length, 5);
+});
+
+test('corrupted saves are refused so a backup can be tried', () => {
+    const corrupt = economy => Object.assign({}, SAVE, { economy: Object.assign({}, SAVE.economy, economy) });
+    assert.throws(() => CamelSave.validateSave(corrupt({ goldAmount: 'lots' })), /"goldAmount" is not a number/);
+    assert.throws(() => CamelSave.validateSave(corrupt({ caravanRoutes: [1] })), /"caravanRoutes" is not an object/);
+    assert.throws(() => CamelSave.validateSave({ version: CamelSave.SAVE_VERSION }), /no economy data/);
+    assert.throws(() => CamelSave.validateSave({ version: 1, economy: {} }), /not been migrated/);
+    assert.throws(() => CamelSave.readSave('{"version": 3, "econ'), SyntaxError);
+});
+
+test('a saved event log is capped at the event log\'s own length', () => {
+    const eventLog = [];
+    for (let i = 0; i < CamelEventLog.MAX_LOG_ENTRIES + 20; i++) {
+        eventLog.push({ time: i, category: 'economy', message: `Entry ${i}` });
+    }
+    const { payload, issues } = CamelSave.validateSave(Object.assign({}, SAVE, { eventLog }));
+    assert.strictEqual(payload.eventLog.length, CamelEventLog.MAX_LOG_ENTRIES);
+    assert.strictEqual(issues.length, 20);
+});
@@ -0,0 +1,193 @@
+/**
+ * Camel Drop Game - Nomad Upgrades
+ * Permanent upgrade tree bought with Nomad Tokens. Each node lists its cost
+ * per level and the nodes it requires; the economy engine reads the owned
+ * levels through the effect helpers below. DOM-free; also loads in Node.
+ */
+(function (root) {
+    /**
+     * @typedef {Object} NomadUpgrade
+     * @property {string} id - Key in EconomyState.nomadUpgrades.
+     * @property {string} icon - Emoji shown in the shop.
+     * @property {string} name - Display name.
+     * @property {string} description - What one level does.
+     * @property {number[]} costs - Token cost of each level; its length is the max level.
+     * @property {string[]} requires - Upgrades that need at least one level first.
+     */
+
+    /** --- Nomad Upgrades: the tree, roots first --- */
+    const NOMAD_UPGRADES = [
+        {
+            id: 'swiftHerders',
+            icon: '🏇',
+            name: 'Swift Herders',
+            description: 'Farm breeding cycles run 15% faster per level.',
+            costs: [1, 2, 4],
+            requires: []
+        },
+        {
+            id: 'lushPastures',
+            icon: '🌾',
+            name: 'Lush Pastures',
+            description: 'Grasslands grow 25% more grass per level.',
+            costs: [1, 2, 4],
+            requires: []
+        },
+        {
+            id: 'shrewdTraders',
+            icon: '🤝',
+            name: 'Shrewd Traders',
+            description: 'Farms, grasslands and guard camps cost 10% less per level.',
+            costs: [2, 3, 5],
+            requires: ['lushPastures']
+        },
+        {
+            id: 'settledCamps',
+            icon: '🏡',
+            name: 'Settled Camps',
+            description: 'Start every migration with 2 more farms per level.',
+            costs: [2, 3, 5],
+            requires: ['swiftHerders']
+        },
+        {
+            id: 'armedEscorts',
+            icon: '⚔️',
+            name: 'Armed Escorts',
+            description: 'Bandits can no longer take caravans.',
+            costs: [6],
+            requires: ['shrewdTraders', 'settledCamps']
+        }
+    ];
+
+    /** --- Nomad Upgrades: effect strength per level --- */
+    const FARM_CYCLE_FACTOR_PER_LEVEL = 0.85;
+    const GRASS_BONUS_PER_LEVEL = 0.25;
+    const BUILDING_DISCOUNT_PER_LEVEL = 0.1;
+    const STARTING_FARMS_PER_LEVEL = 2;
+
+    /**
+     * --- Nomad Upgrades: look up a node by id ---
+     * @param {string} id - Upgrade id.
+     * @returns {NomadUpgrade|undefined} - The node, if it exists.
+     */
+    function getUpgrade(id) {
+        return NOMAD_UPGRADES.find(upgrade => upgrade.id === id);
+    }
+
+    /**
+     * --- Nomad Upgrades: keep only known ids with whole levels inside each node's range ---
+     * @param {Object} [levels] - Saved id -> level map.
+     * @returns {Object} - Clean id -> level map.
+     */
+    function normalizeUpgradeLevels(levels) {
+        const clean = {};
+        if (!levels || typeof levels !== 'object') {
+            return clean;
+        }
+        NOMAD_UPGRADES.forEach(upgrade => {
+            const level = levels[upgrade.id];
+            if (Number.isFinite(level) && level >= 1) {
+                clean[upgrade.id] = Math.min(Math.floor(level), upgrade.costs.length);
+            }
+        });
+        return clean;
+    }
+
+    /**
+     * --- Nomad Upgrades: owned level of a node ---
+     * @param {Object} state - EconomyState with nomadUpgrades.
+     * @param {string} id - Upgrade id.
+     * @returns {number} - Level, 0 when not bought.
+     */
+    function getUpgradeLevel(state, id) {
+        return (state.nomadUpgrades && state.nomadUpgrades[id]) || 0;
+    }
+
+    /**
+     * --- Nomad Upgrades: whether every prerequisite has been bought ---
+     * @param {Object} state - EconomyState.
+     * @param {string} id - Upgrade id.
+     * @returns {boolean} - True when the node can be bought into.
+     */
+    function isUpgradeUnlocked(state, id) {
+        const upgrade = getUpgrade(id);
+        return Boolean(upgrade) && upgrade.requires.every(requiredId => getUpgradeLevel(state, requiredId) > 0);
+    }
+
+    /**
+     * --- Nomad Upgrades: token price of a node's next level ---
+     * @param {Object} state - EconomyState.
+     * @param {string} id - Upgrade id.
+     * @returns {number|null} - Cost, or null when the node is maxed or unknown.
+     */
+    function getUpgradeCost(state, id) {
+        const upgrade = getUpgrade(id);
+        if (!upgrade) {
+            return null;
+        }
+        const level = getUpgradeLevel(state, id);
+        return level < upgrade.costs.length ? upgrade.costs[level] : null;
+    }
+
+    /**
+     * --- Nomad Upgrades: seconds per farm breeding cycle ---
+     * @param {Object} state - EconomyState.
+     * @param {number} baseSeconds - Cycle length without upgrades.
+     * @returns {number} - Upgraded cycle length.
+     */
+    function getFarmCycleSeconds(state, baseSeconds) {
+        return baseSeconds * Math.pow(FARM_CYCLE_FACTOR_PER_LEVEL, getUpgradeLevel(state, 'swiftHerders'));
+    }
+
+    /**
+     * @param {Object} state - EconomyState.
+     * @returns {number} - Multiplier on grass grown by grasslands.
+     */
+    function getGrassGrowthMultiplier(state) {
+        return 1 + GRASS_BONUS_PER_LEVEL * getUpgradeLevel(state, 'lushPastures');
+    }
+
+    /**
+     * @param {Object} state - EconomyState.
+     * @returns {number} - Multiplier on building prices.
+     */
+    function getBuildingCostMultiplier(state) {
+        return 1 - BUILDING_DISCOUNT_PER_LEVEL * getUpgradeLevel(state, 'shrewdTraders');
+    }
+
+    /**
+     * @param {Object} state - EconomyState.
+     * @returns {boolean} - True when raids can never cost a caravan.
+     */
+    function hasCaravanLossImmunity(state) {
+        return getUpgradeLevel(state, 'armedEscorts') > 0;
+    }
+
+    /**
+     * @param {Object} state - EconomyState.
+     * @returns {number} - Farms granted at the start of a new migration.
+     */
+    function getStartingFarms(state) {
+        return STARTING_FARMS_PER_LEVEL * getUpgradeLevel(state, 'settledCamps');
+    }
+
+    const CamelUpgrades = {
+        NOMAD_UPGRADES,
+        getUpgrade,
+        normalizeUpgradeLevels,
+        getUpgradeLevel,
+        isUpgradeUnlocked,
+        getUpgradeCost,
+        getFarmCycleSeconds,
+        getGrassGrowthMultiplier,
+        getBuildingCostMultiplier,
+        hasCaravanLossImmunity,
+        getStartingFarms
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CamelUpgrades;
+    } else {
+        root.CamelUpgrades = CamelUpgrades;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
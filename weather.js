@@ -0,0 +1,133 @@
+/**
+ * Camel Drop Game - Desert Weather
+ * Weather events that roll now and then and change the economy while they
+ * last: sandstorms slow caravans (and blow camels around on screen), oasis
+ * rain makes grasslands grow faster. Only one event runs at a time; the
+ * economy saves which one and how long it has left. DOM-free; also loads in
+ * Node.
+ */
+(function (root) {
+    /**
+     * @typedef {Object} WeatherEvent
+     * @property {string} id - Key in EconomyState.weather.
+     * @property {string} icon - Emoji shown on screen and in the log.
+     * @property {string} name - Display name.
+     * @property {number} chance - Chance per roll that this event starts.
+     * @property {number} minSeconds - Shortest run.
+     * @property {number} maxSeconds - Longest run.
+     * @property {number} caravanSpeed - Multiplier on caravan travel while it lasts.
+     * @property {number} grassMultiplier - Multiplier on grassland growth while it lasts.
+     * @property {boolean} wind - Whether it blows camels sideways.
+     * @property {string} announcement - Shown when it starts.
+     */
+
+    /** @type {WeatherEvent[]} */
+    const WEATHER = [
+        {
+            id: 'sandstorm',
+            icon: '🌪️',
+            name: 'Sandstorm',
+            chance: 0.08,
+            minSeconds: 45,
+            maxSeconds: 120,
+            caravanSpeed: 0.5,
+            grassMultiplier: 1,
+            wind: true,
+            announcement: 'A sandstorm sweeps the dunes! Caravans travel at half speed.'
+        },
+        {
+            id: 'rain',
+            icon: '🌧️',
+            name: 'Oasis rain',
+            chance: 0.1,
+            minSeconds: 60,
+            maxSeconds: 180,
+            caravanSpeed: 1,
+            grassMultiplier: 2,
+            wind: false,
+            announcement: 'Rain over the oases! Grasslands grow twice as fast.'
+        }
+    ];
+
+    /** --- Desert Weather: seconds between rolls for a new event while the sky is clear --- */
+    const WEATHER_CYCLE_SECONDS = 60;
+
+    /**
+     * --- Desert Weather: look up an event by id ---
+     * @param {string} id - Event id.
+     * @returns {WeatherEvent|undefined} - The event, if it exists.
+     */
+    function getWeather(id) {
+        return WEATHER.find(weather => weather.id === id);
+    }
+
+    /**
+     * --- Desert Weather: keep the first known saved event that still has time left ---
+     * @param {Object} [saved] - Saved event id -> seconds left map.
+     * @returns {Object} - At most one event id -> seconds left.
+     */
+    function normalizeWeather(saved) {
+        const active = WEATHER.find(weather => saved && Number.isFinite(saved[weather.id]) && saved[weather.id] > 0);
+        return active ? { [active.id]: saved[active.id] } : {};
+    }
+
+    /**
+     * --- Desert Weather: the event running now ---
+     * @param {Object} state - EconomyState.
+     * @returns {WeatherEvent|null} - The event, or null under clear skies.
+     */
+    function getActiveWeather(state) {
+        return WEATHER.find(weather => state.weather[weather.id] > 0) || null;
+    }
+
+    /**
+     * --- Desert Weather: pick the event a roll starts, if any ---
+     * @param {number} roll - Random float in [0, 1).
+     * @returns {WeatherEvent|null} - The event, or null when the sky stays clear.
+     */
+    function pickWeather(roll) {
+        let threshold = 0;
+        for (const weather of WEATHER) {
+            threshold += weather.chance;
+            if (roll < threshold) {
+                return weather;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @param {Object} state - EconomyState.
+     * @returns {number} - Multiplier on grassland growth right now.
+     */
+    function getGrassMultiplier(state) {
+        const weather = getActiveWeather(state);
+        return weather ? weather.grassMultiplier : 1;
+    }
+
+    /**
+     * @param {Object} state - EconomyState.
+     * @returns {number} - Multiplier on caravan travel right now.
+     */
+    function getCaravanSpeed(state) {
+        const weather = getActiveWeather(state);
+        return weather ? weather.caravanSpeed : 1;
+    }
+
+    const CamelWeather = {
+        WEATHER,
+        WEATHER_CYCLE_SECONDS,
+        getWeather,
+        normalizeWeather,
+        getActiveWeather,
+        pickWeather,
+        getGrassMultiplier,
+        getCaravanSpeed
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CamelWeather;
+    } else {
+        root.CamelWeather = CamelWeather;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);